@@ -0,0 +1,267 @@
+/**
+ * Address Book for Woof Wallet
+ * Saved recipients with labels and notes, shared by every wallet on this device, and a check that
+ * flags pasted addresses that only resemble a saved one (as clipboard hijackers produce)
+ */
+
+const addressBookBitcore = require ? require("bitcore-lib") : window.bitcore;
+const ADDRESS_BOOK_KEY = 'address_book';
+const ADDRESS_BOOK_CSV_HEADER = ['label', 'address', 'notes', 'last_used'];
+const LOOKALIKE_PREFIX_CHARS = 5; // Leading "D" plus the four characters most people glance at
+const LOOKALIKE_SUFFIX_CHARS = 4;
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/; // Spreadsheets evaluate cells starting with these as formulas
+
+/**
+ * Write a field for CSV export (also used for the history export)
+ * Text a spreadsheet would run as a formula gets a leading "'"; plain numbers such as -1.5 are left alone.
+ * The field is quoted when it holds a separator, quote or line break
+ */
+function csvField(value) {
+    let text = String(value);
+    if (CSV_FORMULA_PREFIX.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo the formula guard csvField adds, so exported text imports unchanged
+ */
+function csvFieldValue(field) {
+    return field.startsWith("'") && CSV_FORMULA_PREFIX.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+class AddressBook {
+    constructor() {
+        this.contacts = [];
+    }
+
+    /**
+     * Load the saved contacts
+     */
+    async load() {
+        try {
+            this.contacts = (await walletStorage.get(ADDRESS_BOOK_KEY)) || [];
+        } catch (error) {
+            console.error('Failed to load address book:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Persist the contacts
+     */
+    async save() {
+        await walletStorage.set(ADDRESS_BOOK_KEY, this.contacts);
+    }
+
+    /**
+     * List contacts, most recently used first, then by label
+     */
+    getContacts() {
+        return [...this.contacts].sort((a, b) =>
+            (b.lastUsed || 0) - (a.lastUsed || 0) || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Find the contact saved for an address
+     */
+    findByAddress(address) {
+        const trimmed = (address || '').trim();
+        return this.contacts.find(contact => contact.address === trimmed) || null;
+    }
+
+    /**
+     * Add a contact, or update the label and notes of the one saved for its address
+     */
+    async saveContact({ label, address, notes = '' }) {
+        try {
+            const trimmedAddress = (address || '').trim();
+            const trimmedLabel = (label || '').trim();
+
+            if (!addressBookBitcore.Address.isValid(trimmedAddress)) {
+                throw new Error('Invalid Dogecoin address');
+            }
+            if (!trimmedLabel) {
+                throw new Error('Enter a label for this address');
+            }
+
+            const existing = this.findByAddress(trimmedAddress);
+            if (existing) {
+                existing.label = trimmedLabel;
+                existing.notes = notes.trim();
+            } else {
+                this.contacts.push({
+                    label: trimmedLabel,
+                    address: trimmedAddress,
+                    notes: notes.trim(),
+                    lastUsed: null,
+                    createdAt: Date.now()
+                });
+            }
+
+            await this.save();
+            return this.findByAddress(trimmedAddress);
+        } catch (error) {
+            console.error('Failed to save contact:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the contact saved for an address
+     */
+    async removeContact(address) {
+        try {
+            this.contacts = this.contacts.filter(contact => contact.address !== address);
+            await this.save();
+        } catch (error) {
+            console.error('Failed to remove contact:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that coins were sent to any saved contacts among these addresses
+     */
+    async markUsed(addresses) {
+        const used = this.contacts.filter(contact => addresses.includes(contact.address));
+        if (used.length === 0) return;
+
+        try {
+            const now = Date.now();
+            used.forEach(contact => { contact.lastUsed = now; });
+            await this.save();
+        } catch (error) {
+            console.error('Failed to update address book:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a saved contact whose address starts or ends like this one but is not the same address
+     */
+    findLookalike(address) {
+        const trimmed = (address || '').trim();
+        if (!trimmed || this.findByAddress(trimmed)) {
+            return null;
+        }
+
+        const prefix = trimmed.slice(0, LOOKALIKE_PREFIX_CHARS);
+        const suffix = trimmed.slice(-LOOKALIKE_SUFFIX_CHARS);
+        return this.contacts.find(contact =>
+            contact.address.slice(0, LOOKALIKE_PREFIX_CHARS) === prefix ||
+            contact.address.slice(-LOOKALIKE_SUFFIX_CHARS) === suffix) || null;
+    }
+
+    /**
+     * Export the contacts as CSV with a header row
+     */
+    toCSV() {
+        const rows = this.getContacts().map(contact => [
+            contact.label,
+            contact.address,
+            contact.notes || '',
+            contact.lastUsed ? new Date(contact.lastUsed).toISOString() : ''
+        ]);
+
+        return [ADDRESS_BOOK_CSV_HEADER, ...rows]
+            .map(row => row.map(csvField).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Split CSV text into rows of fields, honouring quoted fields
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim()));
+    }
+
+    /**
+     * Merge contacts from "label,address,notes,last_used" CSV; an address already saved takes the imported label and notes
+     * Returns the number of contacts imported
+     */
+    async importCSV(text) {
+        try {
+            const rows = this.parseCSV(text);
+            if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'label') {
+                rows.shift();
+            }
+
+            const errors = [];
+            const imported = [];
+            rows.forEach((fields, index) => {
+                const [label = '', address = '', notes = '', lastUsed = ''] = fields.map(value => csvFieldValue(value.trim()));
+                if (!label || !addressBookBitcore.Address.isValid(address)) {
+                    errors.push(`Row ${index + 1}: expected "label,address" with a valid Dogecoin address`);
+                    return;
+                }
+                const usedAt = Date.parse(lastUsed);
+                imported.push({ label, address, notes, lastUsed: isNaN(usedAt) ? null : usedAt });
+            });
+
+            // Nothing is saved unless the whole file is valid
+            if (errors.length > 0) {
+                throw new Error(errors.join('\n'));
+            }
+
+            imported.forEach(entry => {
+                const existing = this.findByAddress(entry.address);
+                if (existing) {
+                    existing.label = entry.label;
+                    existing.notes = entry.notes;
+                    existing.lastUsed = Math.max(existing.lastUsed || 0, entry.lastUsed || 0) || null;
+                } else {
+                    this.contacts.push({ ...entry, createdAt: Date.now() });
+                }
+            });
+
+            await this.save();
+            return imported.length;
+        } catch (error) {
+            console.error('Failed to import address book:', error);
+            throw error;
+        }
+    }
+}
+
+// Create global address book instance
+window.addressBook = new AddressBook();
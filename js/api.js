@@ -1,8 +1,36 @@
 /**
  * API Integration Layer for Woof Wallet
- * Integrates with DogePay Wallet API and Wonky Ord API
+ * Integrates with DogePay Wallet API, Wonky Ord API and a DRC-20 token indexer
  */
 
+const TOKEN_AMOUNT_DECIMALS = 18; // DRC-20 amounts carry at most 18 decimal places
+
+/**
+ * Scale a non-negative DRC-20 decimal amount string to an integer of its smallest units
+ */
+function scaleTokenAmount(amount) {
+    const [whole, fraction = ''] = String(amount || '0').split('.');
+    return BigInt(whole || '0') * 10n ** BigInt(TOKEN_AMOUNT_DECIMALS) +
+        BigInt((fraction + '0'.repeat(TOKEN_AMOUNT_DECIMALS)).slice(0, TOKEN_AMOUNT_DECIMALS));
+}
+
+/**
+ * Format an integer of smallest DRC-20 units as a decimal amount string
+ */
+function formatTokenAmount(units) {
+    const digits = units.toString().padStart(TOKEN_AMOUNT_DECIMALS + 1, '0');
+    const whole = digits.slice(0, -TOKEN_AMOUNT_DECIMALS);
+    const fraction = digits.slice(-TOKEN_AMOUNT_DECIMALS).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Add two non-negative DRC-20 decimal amount strings without losing precision
+ */
+function addTokenAmounts(a, b) {
+    return formatTokenAmount(scaleTokenAmount(a) + scaleTokenAmount(b));
+}
+
 class WalletAPI {
     constructor() {
         // Use local proxy endpoints to avoid CORS issues
@@ -15,9 +43,21 @@ class WalletAPI {
             baseUrl: '/api/wonkyord',
             name: 'Wonky Ord API (Proxied)'
         };
+
+        this.tokensAPI = {
+            baseUrl: '/api/drc20',
+            name: 'DRC-20 Indexer (Proxied)'
+        };
         
         this.retryCount = 3;
         this.retryDelay = 1000; // 1 second
+
+        // Fee rates are in satoshis (koinu) per byte
+        this.minFeeRate = 1000; // 0.01 DOGE/kB, the Dogecoin Core wallet default
+        this.fallbackFeeRate = 2000; // Used when the fee estimate endpoint is unavailable
+        this.feeTargets = { fast: 1, normal: 6, slow: 25 }; // Confirmation targets in blocks
+        this.feeEstimateTTL = 60 * 1000; // 1 minute
+        this.feeEstimateCache = null;
     }
 
     /**
@@ -35,7 +75,9 @@ class WalletAPI {
                 });
 
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
                 }
 
                 return response;
@@ -65,6 +107,7 @@ class WalletAPI {
             return data.map(utxo => ({
                 txid: utxo.txid,
                 vout: utxo.vout,
+                address,
                 script: utxo.scriptPubKey,
                 satoshis: utxo.value,
                 confirmations: utxo.confirmations || 0
@@ -84,10 +127,18 @@ class WalletAPI {
             const response = await this.fetchWithRetry(url);
             const data = await response.json();
             
+            // Balance is what was funded minus what was spent; with change
+            // addresses the funded sum alone would double count
+            const chainStats = data.chain_stats || {};
+            const mempoolStats = data.mempool_stats || {};
+            const confirmed = (chainStats.funded_txo_sum || 0) - (chainStats.spent_txo_sum || 0);
+            const unconfirmed = (mempoolStats.funded_txo_sum || 0) - (mempoolStats.spent_txo_sum || 0);
+            
             return {
-                confirmed: data.chain_stats?.funded_txo_sum || 0,
-                unconfirmed: data.mempool_stats?.funded_txo_sum || 0,
-                total: (data.chain_stats?.funded_txo_sum || 0) + (data.mempool_stats?.funded_txo_sum || 0)
+                confirmed,
+                unconfirmed,
+                total: confirmed + unconfirmed,
+                txCount: (chainStats.tx_count || 0) + (mempoolStats.tx_count || 0)
             };
         } catch (error) {
             console.error('Failed to fetch balance:', error);
@@ -133,6 +184,38 @@ class WalletAPI {
         }
     }
 
+    /**
+     * Get the raw hex of a transaction
+     */
+    async getTransactionHex(txid) {
+        try {
+            const url = `${this.blockchainAPI.baseUrl}/tx/${txid}/hex`;
+            const response = await this.fetchWithRetry(url);
+            return (await response.text()).trim();
+        } catch (error) {
+            console.error('Failed to fetch transaction hex:', error);
+            throw new Error(`Failed to fetch transaction hex: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get whether a transaction is confirmed, in the mempool, or unknown to the node
+     */
+    async getTransactionStatus(txid) {
+        try {
+            const url = `${this.blockchainAPI.baseUrl}/tx/${txid}/status`;
+            const response = await this.fetchWithRetry(url, {}, 1);
+            const status = await response.json();
+            return status.confirmed ? 'confirmed' : 'mempool';
+        } catch (error) {
+            if (error.status === 404) {
+                return 'unknown';
+            }
+            console.error('Failed to fetch transaction status:', error);
+            throw new Error(`Failed to fetch transaction status: ${error.message}`);
+        }
+    }
+
     /**
      * Get current block tip height
      */
@@ -163,6 +246,77 @@ class WalletAPI {
         }
     }
 
+    /**
+     * Set the fee rate used when no estimate is available
+     */
+    setFallbackFeeRate(feeRate) {
+        const rate = Number(feeRate);
+        if (!Number.isFinite(rate) || rate < this.minFeeRate) {
+            throw new Error(`Fallback fee rate must be at least ${this.minFeeRate} sat/byte`);
+        }
+
+        this.fallbackFeeRate = rate;
+        this.feeEstimateCache = null;
+    }
+
+    /**
+     * Get slow / normal / fast fee rates (sat/byte) from the fee estimate endpoint
+     */
+    async getFeeEstimates() {
+        if (this.feeEstimateCache && Date.now() - this.feeEstimateCache.timestamp < this.feeEstimateTTL) {
+            return this.feeEstimateCache.estimates;
+        }
+
+        let estimates;
+        try {
+            const url = `${this.blockchainAPI.baseUrl}/fee-estimates`;
+            const response = await this.fetchWithRetry(url, {}, 1);
+            const data = await response.json();
+
+            estimates = {
+                slow: this.pickFeeRate(data, this.feeTargets.slow),
+                normal: this.pickFeeRate(data, this.feeTargets.normal),
+                fast: this.pickFeeRate(data, this.feeTargets.fast),
+                source: 'api'
+            };
+        } catch (error) {
+            console.error('Failed to fetch fee estimates, using fallback rate:', error);
+            estimates = this.getFallbackFeeEstimates();
+        }
+
+        this.feeEstimateCache = { estimates, timestamp: Date.now() };
+        return estimates;
+    }
+
+    /**
+     * Pick the estimate for the closest confirmation target at or above the given one
+     */
+    pickFeeRate(estimates, target) {
+        const targets = Object.keys(estimates || {})
+            .map(Number)
+            .filter(blocks => Number.isFinite(blocks) && Number.isFinite(Number(estimates[blocks])))
+            .sort((a, b) => a - b);
+
+        if (targets.length === 0) {
+            throw new Error('Fee estimate response is empty');
+        }
+
+        const blocks = targets.find(t => t >= target) || targets[targets.length - 1];
+        return Math.max(Math.ceil(Number(estimates[blocks])), this.minFeeRate);
+    }
+
+    /**
+     * Derive presets from the configured fallback rate
+     */
+    getFallbackFeeEstimates() {
+        return {
+            slow: Math.max(Math.ceil(this.fallbackFeeRate / 2), this.minFeeRate),
+            normal: this.fallbackFeeRate,
+            fast: Math.ceil(this.fallbackFeeRate * 2.5),
+            source: 'fallback'
+        };
+    }
+
     /**
      * Broadcast a transaction
      */
@@ -184,8 +338,9 @@ class WalletAPI {
 
     /**
      * Get inscription data for an output
+     * With strict set, a failed lookup throws instead of reading as "no inscriptions"
      */
-    async getInscriptionOutput(outpoint) {
+    async getInscriptionOutput(outpoint, { strict = false } = {}) {
         try {
             const url = `${this.inscriptionsAPI.baseUrl}/output/${outpoint}`;
             const response = await this.fetchWithRetry(url);
@@ -197,7 +352,13 @@ class WalletAPI {
             const html = await response.text();
             return this.parseInscriptionHTML(html, outpoint);
         } catch (error) {
+            if (error.status === 404) {
+                return null; // No inscriptions at this output
+            }
             console.error('Failed to fetch inscription output:', error);
+            if (strict) {
+                throw new Error(`Could not verify inscriptions on ${outpoint}; try again`);
+            }
             // Don't throw error for inscription queries - just return null
             return null;
         }
@@ -308,7 +469,9 @@ class WalletAPI {
                 timestamp: null,
                 fee: null,
                 address: null,
-                output: null
+                output: null,
+                location: null,
+                offset: null
             };
             
             // Try to extract inscription number from the page
@@ -341,6 +504,12 @@ class WalletAPI {
                         case 'output':
                             metadata.output = value;
                             break;
+                        case 'location':
+                            metadata.location = value; // txid:vout:offset of the inscribed sat
+                            break;
+                        case 'offset':
+                            metadata.offset = parseInt(value);
+                            break;
                     }
                 }
             });
@@ -354,21 +523,24 @@ class WalletAPI {
                 timestamp: null,
                 fee: null,
                 address: null,
-                output: null
+                output: null,
+                location: null,
+                offset: null
             };
         }
     }
 
     /**
      * Check if UTXOs are safe to spend (don't contain inscriptions)
+     * options.strict fails on any lookup error rather than counting the coin as safe
      */
-    async getSafeUTXOs(address, utxos) {
+    async getSafeUTXOs(address, utxos, options = {}) {
         const safeUTXOs = [];
         const inscriptionUTXOs = [];
         
         for (const utxo of utxos) {
             const outpoint = `${utxo.txid}:${utxo.vout}`;
-            const inscriptions = await this.getInscriptionOutput(outpoint);
+            const inscriptions = await this.getInscriptionOutput(outpoint, options);
             
             if (inscriptions && inscriptions.length > 0) {
                 inscriptionUTXOs.push({
@@ -386,6 +558,121 @@ class WalletAPI {
         };
     }
 
+    /**
+     * Get the DRC-20 balances of an address
+     */
+    async getTokenBalances(address) {
+        try {
+            const url = `${this.tokensAPI.baseUrl}/address/${address}/balances`;
+            const response = await this.fetchWithRetry(url);
+            const data = await response.json();
+            const items = Array.isArray(data) ? data : (data.balances || []);
+
+            return items.map(item => this.parseTokenBalance(item));
+        } catch (error) {
+            console.error('Failed to fetch token balances:', error);
+            throw new Error(`Failed to fetch token balances: ${error.message}`);
+        }
+    }
+
+    /**
+     * Normalise an indexer balance; available plus transferable is the total
+     */
+    parseTokenBalance(item) {
+        const available = String(item.available ?? item.availableBalance ?? '0');
+        const transferable = String(item.transferable ?? item.transferableBalance ?? '0');
+
+        return {
+            tick: String(item.tick ?? item.ticker ?? ''),
+            available,
+            transferable,
+            total: String(item.total ?? item.overallBalance ?? addTokenAmounts(available, transferable))
+        };
+    }
+
+    /**
+     * Get the deploy details and supply of a DRC-20 token, or null if the indexer does not know it
+     */
+    async getTokenInfo(tick) {
+        try {
+            const url = `${this.tokensAPI.baseUrl}/tokens/${encodeURIComponent(tick)}`;
+            const response = await this.fetchWithRetry(url, {}, 1);
+            return this.parseTokenInfo(await response.json());
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            console.error('Failed to fetch token info:', error);
+            throw new Error(`Failed to fetch token info: ${error.message}`);
+        }
+    }
+
+    /**
+     * Normalise indexer token details
+     */
+    parseTokenInfo(data) {
+        return {
+            tick: String(data.tick ?? data.ticker ?? ''),
+            maxSupply: String(data.max ?? data.maxSupply ?? ''),
+            minted: String(data.minted ?? data.supply ?? ''),
+            mintLimit: String(data.lim ?? data.limit ?? ''),
+            decimals: Number(data.dec ?? data.decimals ?? TOKEN_AMOUNT_DECIMALS),
+            holders: data.holders ?? null,
+            deployer: data.deployer ?? data.deployedBy ?? null,
+            deployInscription: data.deployInscription ?? data.inscriptionId ?? null,
+            deployHeight: data.deployHeight ?? data.height ?? null,
+            deployTime: data.deployTime ?? data.timestamp ?? null
+        };
+    }
+
+    /**
+     * Get the mint, transfer and send inscriptions of a DRC-20 token involving an address, newest first
+     */
+    async getTokenHistory(address, tick) {
+        try {
+            const url = `${this.tokensAPI.baseUrl}/address/${address}/history?tick=${encodeURIComponent(tick)}`;
+            const response = await this.fetchWithRetry(url);
+            const data = await response.json();
+            const items = Array.isArray(data) ? data : (data.history || []);
+
+            return items.map(item => ({
+                type: String(item.type ?? item.op ?? ''),
+                amount: String(item.amount ?? item.amt ?? ''),
+                inscriptionId: item.inscriptionId ?? null,
+                txid: item.txid ?? null,
+                from: item.from ?? null,
+                to: item.to ?? null,
+                time: item.time ?? item.timestamp ?? null,
+                height: item.height ?? null
+            }));
+        } catch (error) {
+            console.error('Failed to fetch token history:', error);
+            throw new Error(`Failed to fetch token history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Split a satpoint (txid:vout:offset) into its outpoint and the offset of the sat within it
+     */
+    parseSatpoint(satpoint) {
+        const match = /^([0-9a-fA-F]{64}):(\d+):(\d+)$/.exec(String(satpoint || '').trim());
+        if (!match) {
+            return null;
+        }
+        return { txid: match[1], vout: Number(match[2]), outpoint: `${match[1]}:${match[2]}`, offset: Number(match[3]) };
+    }
+
+    /**
+     * Offset of an inscribed sat within the given outpoint, or null if its metadata places it elsewhere or not at all
+     */
+    getInscriptionOffset(outpoint, metadata) {
+        const satpoint = this.parseSatpoint(metadata && metadata.location);
+        if (satpoint) {
+            return satpoint.outpoint === outpoint ? satpoint.offset : null;
+        }
+        return metadata && Number.isInteger(metadata.offset) ? metadata.offset : null;
+    }
+
     /**
      * Get all inscriptions for an address
      */
@@ -407,6 +694,8 @@ class WalletAPI {
                         inscriptions[`inscription_${inscriptionId}`] = {
                             id: inscriptionId,
                             outpoint,
+                            satpoint: metadata.location,
+                            offset: this.getInscriptionOffset(outpoint, metadata),
                             content,
                             metadata,
                             utxo
@@ -34,6 +34,11 @@ class WoofWalletApp {
             
             // Initialize wallet
             await wallet.init();
+            await addressBook.load();
+            ui.refreshAddressBookList();
+
+            // dogecoin: links open the send form once the wallet is ready
+            this.takeLaunchPaymentURI();
             
             // Determine initial screen based on wallet state
             await this.determineInitialScreen();
@@ -58,7 +63,7 @@ class WoofWalletApp {
         try {
             console.log('🔍 Determining initial screen...');
             console.log('Terms accepted:', wallet.acceptedTerms);
-            console.log('Wallet credentials exist:', !!wallet.credentials);
+            console.log('Wallet exists:', wallet.hasWallet());
             
             // Check if terms are accepted
             if (!wallet.acceptedTerms) {
@@ -68,16 +73,24 @@ class WoofWalletApp {
             }
 
             // Check if wallet exists
-            if (!wallet.credentials) {
+            if (!wallet.hasWallet()) {
                 console.log('➡️ Showing setup screen');
                 ui.showSetupScreen();
                 return;
             }
 
+            // Wallets from versions without a password have plaintext keys to encrypt first
+            if (await wallet.needsPasswordSetup()) {
+                console.log('➡️ Showing password setup for a legacy wallet');
+                ui.showPasswordSetup({ legacy: true });
+                return;
+            }
+
             // Check if wallet is locked
             if (wallet.isWalletLocked()) {
                 console.log('➡️ Showing lock screen');
                 ui.handleWalletLock();
+                this.refreshBehindLock();
                 return;
             }
 
@@ -103,6 +116,50 @@ class WoofWalletApp {
         }
     }
 
+    /**
+     * Offer to open dogecoin: payment links in this wallet
+     * Only run from the settings action, since some browsers prompt again on every registration
+     */
+    registerPaymentHandler() {
+        if (!navigator.registerProtocolHandler) {
+            throw new Error('This browser cannot open dogecoin: links in a web app');
+        }
+
+        const handlerURL = `${window.location.origin}${window.location.pathname}?uri=%s`;
+        try {
+            navigator.registerProtocolHandler('dogecoin', handlerURL);
+        } catch (error) {
+            // Browsers that keep dogecoin: off their scheme safelist accept the web+ form
+            navigator.registerProtocolHandler('web+dogecoin', handlerURL);
+        }
+    }
+
+    /**
+     * Keep a payment link passed in the launch URL until the wallet screen is shown
+     */
+    takeLaunchPaymentURI() {
+        const uri = new URLSearchParams(window.location.search).get('uri');
+        if (!uri) return;
+
+        // Drop it from the address bar so a reload does not open it again
+        window.history.replaceState(null, '', window.location.pathname);
+        ui.pendingPaymentURI = uri;
+    }
+
+    /**
+     * Refresh balance and history from the watch-only address while locked
+     */
+    async refreshBehindLock() {
+        if (!wallet.hasWatchAddress()) return;
+
+        try {
+            await wallet.refreshAll();
+            ui.updateWalletDisplay();
+        } catch (error) {
+            console.error('Failed to refresh locked wallet:', error);
+        }
+    }
+
     /**
      * Handle initialization errors
      */
@@ -165,7 +222,7 @@ class WoofWalletApp {
         return {
             initialized: this.initialized,
             error: this.initializationError,
-            walletLoaded: wallet.credentials !== null,
+            walletLoaded: wallet.hasWallet(),
             termsAccepted: wallet.acceptedTerms,
             currentScreen: ui.currentScreen,
             currentTab: ui.currentTab
@@ -179,8 +236,10 @@ class WoofWalletApp {
         try {
             console.log('Resetting Woof Wallet...');
             
-            // Clear wallet data
-            await wallet.clearWallet();
+            // Clear every wallet
+            await wallet.clearAllWallets();
+            await addressBook.load();
+            ui.refreshAddressBookList();
             
             // Reset UI
             ui.currentScreen = null;
@@ -242,19 +301,20 @@ class WoofWalletApp {
                 throw new Error('Invalid backup data');
             }
 
-            // Clear existing data
-            await wallet.clearWallet();
+            // Clear existing wallets
+            await wallet.clearAllWallets();
             
             // Import data
             await walletStorage.importData(backupData);
             
             // Reload wallet
             await wallet.load();
+            await addressBook.load();
+            ui.refreshAddressBookList();
             
-            // Show wallet screen if credentials exist
-            if (wallet.credentials) {
-                ui.showWalletScreen();
-                await ui.handleRefresh();
+            // Imported keys stay encrypted until the user unlocks them
+            if (wallet.hasWallet()) {
+                ui.handleWalletLock();
             } else {
                 ui.showSetupScreen();
             }
@@ -276,12 +336,14 @@ class WoofWalletApp {
             console.log('Wallet visible - resuming background tasks');
             
             // Refresh wallet data when page becomes visible again
-            if (wallet.credentials && ui.currentScreen === 'wallet_screen') {
+            if (ui.isWalletReady() && ui.currentScreen === 'wallet_screen') {
                 setTimeout(() => {
                     ui.handleRefresh().catch(error => {
                         console.error('Failed to refresh on visibility change:', error);
                     });
                 }, 1000);
+            } else if (wallet.isWalletLocked()) {
+                setTimeout(() => this.refreshBehindLock(), 1000);
             }
         }
     }
@@ -291,7 +353,7 @@ class WoofWalletApp {
      */
     handleBeforeUnload(event) {
         // Only show warning if wallet is loaded and has funds
-        if (wallet.credentials && wallet.balance.total > 0) {
+        if (wallet.hasWallet() && wallet.balance.total > 0) {
             const message = 'You have an active wallet loaded. Make sure you have backed up your recovery phrase before leaving.';
             event.returnValue = message;
             return message;
@@ -333,10 +395,12 @@ class WoofWalletApp {
         // Handle online/offline status
         window.addEventListener('online', () => {
             console.log('Connection restored');
-            if (wallet.credentials && ui.currentScreen === 'wallet_screen') {
+            if (ui.isWalletReady() && ui.currentScreen === 'wallet_screen') {
                 ui.handleRefresh().catch(error => {
                     console.error('Failed to refresh after coming online:', error);
                 });
+            } else if (wallet.isWalletLocked()) {
+                this.refreshBehindLock();
             }
         });
 
@@ -0,0 +1,305 @@
+/**
+ * Coin Selection for Woof Wallet
+ * Picks the UTXOs that fund a transaction and reports its fee, change and waste
+ */
+
+const TX_OVERHEAD_BYTES = 10; // Version, locktime and input/output counts
+const P2PKH_INPUT_BYTES = 148; // Outpoint, sequence and a worst-case signature script
+const P2PKH_OUTPUT_BYTES = 34;
+const BNB_MAX_TRIES = 100000;
+
+/**
+ * Thrown when the available coins cannot cover the payment and its fee
+ */
+class InsufficientFundsError extends Error {
+    constructor(needed, available) {
+        super(`Insufficient funds. Need ${needed / 100000000} DOGE, have ${available / 100000000} DOGE available`);
+        this.name = 'InsufficientFundsError';
+        this.needed = needed;
+        this.available = available;
+    }
+}
+
+class CoinSelector {
+    constructor() {
+        this.defaultStrategy = 'largest-first';
+        this.strategies = {};
+
+        this.registerStrategy('largest-first', 'Largest first',
+            (utxos, context) => this.accumulate([...utxos].sort((a, b) => b.satoshis - a.satoshis), context));
+        this.registerStrategy('branch-and-bound', 'Exact match (no change)',
+            (utxos, context) => this.branchAndBound(utxos, context));
+        this.registerStrategy('smallest-first', 'Smallest first (consolidate)',
+            (utxos, context) => this.accumulate([...utxos].sort((a, b) => a.satoshis - b.satoshis), context));
+        this.registerStrategy('oldest-first', 'Oldest first',
+            (utxos, context) => this.accumulate(
+                [...utxos].sort((a, b) => (b.confirmations || 0) - (a.confirmations || 0)), context));
+        this.registerStrategy('privacy', 'Privacy (fewest addresses)',
+            (utxos, context) => this.privacy(utxos, context));
+    }
+
+    /**
+     * Register a strategy; it returns the UTXOs to spend, or null when it finds no solution
+     */
+    registerStrategy(name, label, select) {
+        this.strategies[name] = { name, label, select };
+    }
+
+    /**
+     * List the available strategies
+     */
+    getStrategies() {
+        return Object.values(this.strategies).map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * Estimate the signed size in bytes of a P2PKH transaction
+     */
+    estimateSize(inputCount, outputCount) {
+        return TX_OVERHEAD_BYTES + inputCount * P2PKH_INPUT_BYTES + outputCount * P2PKH_OUTPUT_BYTES;
+    }
+
+    /**
+     * Estimate the fee in satoshis for a transaction shape at a sat/byte rate
+     */
+    estimateFee(inputCount, outputCount, feeRate) {
+        return Math.ceil(this.estimateSize(inputCount, outputCount) * feeRate);
+    }
+
+    /**
+     * Select inputs and build the selection report
+     *
+     * options: target (satoshis paid to non-change outputs), feeRate, longTermFeeRate,
+     * dustLimit, outputCount, preselected (inputs that must be spent) and strategy
+     */
+    select(utxos, options) {
+        const context = this.createContext(options);
+        const strategy = this.strategies[options.strategy || this.defaultStrategy];
+        if (!strategy) {
+            throw new Error(`Unknown coin selection strategy: ${options.strategy}`);
+        }
+
+        let selected = strategy.select(utxos, context);
+        let fallbackFrom = null;
+
+        // A strategy may find no solution (e.g. no changeless match); fall back to the default
+        if (!selected && strategy.name !== this.defaultStrategy) {
+            fallbackFrom = strategy.name;
+            selected = this.strategies[this.defaultStrategy].select(utxos, context);
+        }
+
+        const report = this.createReport(selected || [], context);
+        report.strategy = fallbackFrom ? this.defaultStrategy : strategy.name;
+        report.fallbackFrom = fallbackFrom;
+
+        if (!selected || !this.covers(report.inputs, context)) {
+            const available = context.preselectedTotal + utxos.reduce((total, utxo) => total + utxo.satoshis, 0);
+            const needed = context.target + this.estimateFee(Math.max(report.inputs.length, 1), context.outputCount, context.feeRate);
+            throw new InsufficientFundsError(needed, available);
+        }
+
+        return report;
+    }
+
+    /**
+     * Spend every coin with no change; the target becomes whatever is left after the fee
+     *
+     * options: feeRate, longTermFeeRate, dustLimit, outputCount and preselected, as in select
+     */
+    sweep(utxos, options) {
+        const inputs = [...(options.preselected || []), ...utxos];
+        const inputTotal = inputs.reduce((total, utxo) => total + utxo.satoshis, 0);
+        const fee = this.estimateFee(inputs.length, options.outputCount || 1, options.feeRate);
+        const context = this.createContext({ ...options, preselected: inputs, target: inputTotal - fee });
+
+        if (inputs.length === 0 || context.target < context.dustLimit || context.target <= 0) {
+            throw new InsufficientFundsError(fee + context.dustLimit, inputTotal);
+        }
+
+        const report = this.createReport([], context);
+        report.strategy = 'sweep';
+        report.fallbackFrom = null;
+        return report;
+    }
+
+    /**
+     * Normalise selection options and precompute fee figures
+     */
+    createContext(options) {
+        const preselected = options.preselected || [];
+        const feeRate = options.feeRate;
+        const longTermFeeRate = options.longTermFeeRate || feeRate;
+
+        return {
+            target: options.target,
+            feeRate,
+            longTermFeeRate,
+            dustLimit: options.dustLimit || 0,
+            outputCount: options.outputCount || 1,
+            preselected,
+            preselectedTotal: preselected.reduce((total, utxo) => total + utxo.satoshis, 0),
+            inputFee: Math.ceil(P2PKH_INPUT_BYTES * feeRate),
+            // Adding a change output now and spending it later
+            costOfChange: Math.ceil(P2PKH_OUTPUT_BYTES * feeRate + P2PKH_INPUT_BYTES * longTermFeeRate)
+        };
+    }
+
+    /**
+     * Check whether inputs pay the target and the fee of a changeless transaction
+     */
+    covers(inputs, context) {
+        const total = inputs.reduce((sum, utxo) => sum + utxo.satoshis, 0);
+        return inputs.length > 0 &&
+            total >= context.target + this.estimateFee(inputs.length, context.outputCount, context.feeRate);
+    }
+
+    /**
+     * Add candidates in order until the payment and fee are covered
+     */
+    accumulate(candidates, context) {
+        const selected = [];
+
+        for (const utxo of candidates) {
+            if (this.covers([...context.preselected, ...selected], context)) {
+                break;
+            }
+            selected.push(utxo);
+        }
+
+        return this.covers([...context.preselected, ...selected], context) ? selected : null;
+    }
+
+    /**
+     * Depth-first search for a set of inputs that needs no change output
+     */
+    branchAndBound(utxos, context) {
+        // Work with effective values: what each input adds after paying for itself
+        const candidates = utxos
+            .map(utxo => ({ utxo, value: utxo.satoshis - context.inputFee }))
+            .filter(candidate => candidate.value > 0)
+            .sort((a, b) => b.value - a.value);
+
+        const preselectedValue = context.preselectedTotal - context.preselected.length * context.inputFee;
+        const baseFee = this.estimateFee(0, context.outputCount, context.feeRate);
+        const target = context.target + baseFee - preselectedValue;
+        const upperBound = target + context.costOfChange;
+
+        if (target <= 0) {
+            return context.preselected.length > 0 && target + context.costOfChange >= 0 ? [] : null;
+        }
+
+        // Remaining value from index i onwards, for pruning
+        const remaining = new Array(candidates.length + 1).fill(0);
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            remaining[i] = remaining[i + 1] + candidates[i].value;
+        }
+
+        let best = null;
+        let bestExcess = Infinity;
+        let tries = 0;
+        const chosen = [];
+
+        const search = (index, total) => {
+            if (++tries > BNB_MAX_TRIES || total > upperBound) {
+                return;
+            }
+            if (total >= target) {
+                if (total - target < bestExcess) {
+                    bestExcess = total - target;
+                    best = chosen.map(i => candidates[i].utxo);
+                }
+                return;
+            }
+            if (index >= candidates.length || total + remaining[index] < target) {
+                return;
+            }
+
+            chosen.push(index);
+            search(index + 1, total + candidates[index].value);
+            chosen.pop();
+
+            // Skipping a candidate equal to the one just tried explores the same sums
+            let next = index + 1;
+            while (next < candidates.length && candidates[next].value === candidates[index].value) {
+                next++;
+            }
+            search(next, total);
+        };
+
+        search(0, 0);
+        return best;
+    }
+
+    /**
+     * Spend whole address groups so fewer addresses are linked together
+     */
+    privacy(utxos, context) {
+        const groups = new Map();
+        for (const utxo of utxos) {
+            const key = utxo.address || '';
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(utxo);
+        }
+
+        const groupList = [...groups.values()].map(coins => ({
+            coins,
+            total: coins.reduce((sum, utxo) => sum + utxo.satoshis, 0)
+        }));
+
+        // The smallest single address that covers the payment links nothing new
+        const single = groupList
+            .filter(group => this.covers([...context.preselected, ...group.coins], context))
+            .sort((a, b) => a.total - b.total)[0];
+        if (single) {
+            return single.coins;
+        }
+
+        // Otherwise combine as few addresses as possible, largest first
+        const selected = [];
+        for (const group of groupList.sort((a, b) => b.total - a.total)) {
+            if (this.covers([...context.preselected, ...selected], context)) {
+                break;
+            }
+            selected.push(...group.coins);
+        }
+
+        return this.covers([...context.preselected, ...selected], context) ? selected : null;
+    }
+
+    /**
+     * Size the fee and change of a selection and compute its waste
+     */
+    createReport(selected, context) {
+        const inputs = [...context.preselected, ...selected];
+        const inputTotal = inputs.reduce((total, utxo) => total + utxo.satoshis, 0);
+        const feeWithoutChange = this.estimateFee(inputs.length, context.outputCount, context.feeRate);
+        const feeWithChange = this.estimateFee(inputs.length, context.outputCount + 1, context.feeRate);
+
+        // Change below the dust limit is left to the miners instead
+        const change = inputTotal - context.target - feeWithChange;
+        const hasChange = change > context.dustLimit;
+        const excess = inputTotal - context.target - feeWithoutChange;
+
+        // Waste: paying for inputs now rather than at the long-term rate, plus the
+        // cost of change or the excess given up to avoid it
+        const timingCost = inputs.length * P2PKH_INPUT_BYTES * (context.feeRate - context.longTermFeeRate);
+        const waste = Math.round(timingCost + (hasChange ? context.costOfChange : Math.max(excess, 0)));
+
+        return {
+            inputs,
+            inputTotal,
+            target: context.target,
+            feeRate: context.feeRate,
+            fee: hasChange ? feeWithChange : inputTotal - context.target,
+            change: hasChange ? change : 0,
+            size: this.estimateSize(inputs.length, context.outputCount + (hasChange ? 1 : 0)),
+            waste
+        };
+    }
+}
+
+// Create global coin selector instance
+window.coinSelector = new CoinSelector();
+window.InsufficientFundsError = InsufficientFundsError;
@@ -0,0 +1,172 @@
+/**
+ * DRC-20 Payloads for Woof Wallet
+ * Builds and validates the JSON inscribed to deploy, mint and transfer DRC-20 tokens, and reads
+ * it back from inscriptions the wallet holds. Amounts stay decimal strings throughout
+ */
+
+const DRC20_PROTOCOL = 'drc-20';
+const DRC20_CONTENT_TYPE = 'text/plain;charset=utf-8';
+const DRC20_TICK_LENGTH = 4;
+const DRC20_MAX_AMOUNT = '18446744073709551615'; // Supply and amounts are capped at the uint64 maximum
+const DRC20_OPERATIONS = ['deploy', 'mint', 'transfer'];
+
+class Drc20 {
+    /**
+     * Check a tick and return it trimmed; ticks compare case-insensitively
+     */
+    normalizeTick(tick) {
+        const trimmed = String(tick || '').trim();
+        if ([...trimmed].length !== DRC20_TICK_LENGTH || /\s|[\u0000-\u001f]/.test(trimmed)) {
+            throw new Error(`A DRC-20 tick is exactly ${DRC20_TICK_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Check an amount against the token's decimals and return it without redundant zeros
+     */
+    normalizeAmount(amount, decimals, field = 'Amount') {
+        const trimmed = String(amount || '').trim();
+        if (!/^\d+(\.\d+)?$/.test(trimmed)) {
+            throw new Error(`${field} must be a positive number`);
+        }
+
+        const [whole, fraction = ''] = trimmed.split('.');
+        const significant = fraction.replace(/0+$/, '');
+        if (significant.length > decimals) {
+            throw new Error(decimals === 0
+                ? `${field} must be a whole number for this token`
+                : `${field} allows at most ${decimals} decimal places`);
+        }
+
+        const normalized = (whole.replace(/^0+(?=\d)/, '')) + (significant ? `.${significant}` : '');
+        if (scaleTokenAmount(normalized) === 0n) {
+            throw new Error(`${field} must be greater than zero`);
+        }
+        if (scaleTokenAmount(normalized) > scaleTokenAmount(DRC20_MAX_AMOUNT)) {
+            throw new Error(`${field} cannot exceed ${DRC20_MAX_AMOUNT}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Build a deploy payload; the mint limit defaults to the whole supply and decimals to 18
+     */
+    buildDeploy({ tick, max, lim, dec }) {
+        const decimals = dec === undefined || String(dec).trim() === '' ? TOKEN_AMOUNT_DECIMALS : Number(dec);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > TOKEN_AMOUNT_DECIMALS) {
+            throw new Error(`Decimals must be a whole number from 0 to ${TOKEN_AMOUNT_DECIMALS}`);
+        }
+
+        const payload = {
+            p: DRC20_PROTOCOL,
+            op: 'deploy',
+            tick: this.normalizeTick(tick),
+            max: this.normalizeAmount(max, decimals, 'Max supply')
+        };
+
+        if (lim !== undefined && String(lim).trim() !== '') {
+            payload.lim = this.normalizeAmount(lim, decimals, 'Mint limit');
+            if (scaleTokenAmount(payload.lim) > scaleTokenAmount(payload.max)) {
+                throw new Error('The mint limit cannot exceed the max supply');
+            }
+        }
+        if (decimals !== TOKEN_AMOUNT_DECIMALS) {
+            payload.dec = String(decimals);
+        }
+        return payload;
+    }
+
+    /**
+     * Build a mint payload within the token's per-mint limit and remaining supply
+     * info is the token's details from the indexer
+     */
+    buildMint({ tick, amt }, info) {
+        const payload = { p: DRC20_PROTOCOL, op: 'mint', tick: this.normalizeTick(tick) };
+        if (!info) {
+            throw new Error(`${payload.tick} has not been deployed`);
+        }
+
+        payload.amt = this.normalizeAmount(amt, info.decimals);
+        if (info.mintLimit && scaleTokenAmount(payload.amt) > scaleTokenAmount(info.mintLimit)) {
+            throw new Error(`${payload.tick} mints are limited to ${info.mintLimit} per inscription`);
+        }
+        if (info.maxSupply && info.minted) {
+            const remaining = scaleTokenAmount(info.maxSupply) - scaleTokenAmount(info.minted);
+            if (remaining <= 0n) {
+                throw new Error(`${payload.tick} is fully minted`);
+            }
+            if (scaleTokenAmount(payload.amt) > remaining) {
+                throw new Error(`Only ${formatTokenAmount(remaining)} ${payload.tick} is left to mint`);
+            }
+        }
+        return payload;
+    }
+
+    /**
+     * Build a transfer payload for no more than the available (not yet inscribed) balance of one address
+     * token is the wallet's balance of the tick, with its per-address balances
+     */
+    buildTransfer({ tick, amt }, info, token) {
+        const payload = { p: DRC20_PROTOCOL, op: 'transfer', tick: this.normalizeTick(tick) };
+        if (!token) {
+            throw new Error(`No ${payload.tick} balance in this wallet`);
+        }
+
+        payload.amt = this.normalizeAmount(amt, info ? info.decimals : TOKEN_AMOUNT_DECIMALS);
+        if (scaleTokenAmount(payload.amt) > scaleTokenAmount(token.available)) {
+            throw new Error(`Only ${token.available} ${token.tick} is available to transfer`);
+        }
+        if (!this.selectTransferHolding(token, payload.amt)) {
+            const largest = token.balances.reduce((max, balance) =>
+                scaleTokenAmount(balance.available) > scaleTokenAmount(max) ? balance.available : max, '0');
+            throw new Error(`No single address holds ${payload.amt} ${token.tick}; the most available on one address is ${largest}`);
+        }
+        return payload;
+    }
+
+    /**
+     * Pick the address balance that covers amt by itself, preferring the smallest so larger ones stay whole
+     * Returns null when the amount is spread over several addresses
+     */
+    selectTransferHolding(token, amt) {
+        const needed = scaleTokenAmount(amt);
+        return token.balances
+            .filter(balance => scaleTokenAmount(balance.available) >= needed)
+            .sort((a, b) => (scaleTokenAmount(a.available) < scaleTokenAmount(b.available) ? -1 : 1))[0] || null;
+    }
+
+    /**
+     * Encode a payload as inscription content
+     */
+    encode(payload) {
+        return new TextEncoder().encode(JSON.stringify(payload));
+    }
+
+    /**
+     * Read a DRC-20 payload from inscription text, or null if it is not one
+     */
+    parse(text) {
+        try {
+            const payload = JSON.parse(text);
+            if (!payload || payload.p !== DRC20_PROTOCOL || !DRC20_OPERATIONS.includes(payload.op) || typeof payload.tick !== 'string') {
+                return null;
+            }
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Short description of a payload, e.g. "transfer 5 dogi"
+     */
+    describe(payload) {
+        return payload.op === 'deploy'
+            ? `deploy ${payload.tick} (max ${payload.max})`
+            : `${payload.op} ${payload.amt} ${payload.tick}`;
+    }
+}
+
+// Create global DRC-20 payload builder instance
+window.drc20 = new Drc20();
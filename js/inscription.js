@@ -0,0 +1,134 @@
+/**
+ * Inscription Builder for Woof Wallet
+ * Builds the scripts and reveal transactions of a Dogecoin inscription ("doginal"), following the
+ * chunked format: "ord", the piece count and content type, then each 240-byte piece after its
+ * countdown index. The pushes are spread over a chain of P2SH spends, each revealing up to
+ * 1500 bytes of them in its input script
+ */
+
+const inscriptionBitcore = require ? require("bitcore-lib") : window.bitcore;
+const INSCRIPTION_PROTOCOL_TAG = 'ord';
+const INSCRIPTION_PIECE_BYTES = 240;
+const INSCRIPTION_PARTIAL_BYTES = 1500; // Pushes revealed per transaction; keeps each input script standard
+const MAX_INSCRIPTION_BYTES = 100 * 1024;
+const REVEAL_SIGNATURE_PUSH_BYTES = 74; // Push opcode, worst-case DER signature and sighash byte
+
+class InscriptionBuilder {
+    /**
+     * Push a number the way the inscription format encodes piece counts and indexes
+     */
+    addNumber(script, n) {
+        const { Buffer } = inscriptionBitcore.deps;
+        if (n <= 16) {
+            return script.add(inscriptionBitcore.Opcode.smallInt(n));
+        }
+        return script.add(n < 128 ? Buffer.from([n]) : Buffer.from([n % 256, Math.floor(n / 256)]));
+    }
+
+    /**
+     * Split content into the partial scripts revealed by each transaction of the chain, in order
+     */
+    buildPartials(content, contentType) {
+        const { Buffer } = inscriptionBitcore.deps;
+        const { Script } = inscriptionBitcore;
+        const data = Buffer.from(content);
+
+        if (data.length === 0) {
+            throw new Error('Nothing to inscribe');
+        }
+        if (data.length > MAX_INSCRIPTION_BYTES) {
+            throw new Error(`Inscriptions are limited to ${MAX_INSCRIPTION_BYTES / 1024} KB`);
+        }
+        if (!contentType || !contentType.trim()) {
+            throw new Error('Enter a content type');
+        }
+
+        const pieces = [];
+        for (let offset = 0; offset < data.length; offset += INSCRIPTION_PIECE_BYTES) {
+            pieces.push(data.slice(offset, offset + INSCRIPTION_PIECE_BYTES));
+        }
+
+        // Each [number, data] pair stays together; the protocol tag leads the first partial
+        const pairs = [
+            [this.addNumber(new Script(), pieces.length), Buffer.from(contentType.trim(), 'utf8')],
+            ...pieces.map((piece, index) => [this.addNumber(new Script(), pieces.length - index - 1), piece])
+        ];
+
+        const partials = [];
+        let partial = new Script().add(Buffer.from(INSCRIPTION_PROTOCOL_TAG, 'utf8'));
+        pairs.forEach(([number, value]) => {
+            const next = new Script(partial.toBuffer()).add(number).add(value);
+            if (next.toBuffer().length > INSCRIPTION_PARTIAL_BYTES && partial.chunks.length > 0) {
+                partials.push(partial);
+                partial = new Script().add(number).add(value);
+            } else {
+                partial = next;
+            }
+        });
+        partials.push(partial);
+
+        return partials;
+    }
+
+    /**
+     * Redeem script that takes a signature from publicKey and drops the partial's pushes
+     */
+    buildLock(publicKey, partial) {
+        const lock = new inscriptionBitcore.Script()
+            .add(publicKey.toBuffer())
+            .add('OP_CHECKSIGVERIFY');
+        partial.chunks.forEach(() => lock.add('OP_DROP'));
+        return lock.add('OP_TRUE');
+    }
+
+    /**
+     * P2SH address paying to a lock
+     */
+    lockAddress(lock) {
+        return inscriptionBitcore.Address.payingTo(lock);
+    }
+
+    /**
+     * Worst-case size of the transaction revealing a partial; the last one pays a P2PKH output,
+     * the others the next P2SH lock
+     */
+    estimateRevealSize(partial, lock, isLast) {
+        const lockBytes = lock.toBuffer().length;
+        const scriptBytes = partial.toBuffer().length + REVEAL_SIGNATURE_PUSH_BYTES + lockBytes + (lockBytes < 76 ? 1 : 2);
+        const inputBytes = 32 + 4 + (scriptBytes < 253 ? 1 : 3) + scriptBytes + 4;
+        const outputBytes = isLast ? 34 : 32;
+        return 10 + inputBytes + outputBytes;
+    }
+
+    /**
+     * Build and sign the transaction that spends a lock's P2SH output, revealing its partial
+     * output is { script, satoshis }
+     */
+    buildRevealTransaction({ prevTxid, prevSatoshis, partial, lock, privateKey, output }) {
+        const { Buffer } = inscriptionBitcore.deps;
+        const { Script, Transaction } = inscriptionBitcore;
+        const { SIGHASH_ALL } = inscriptionBitcore.crypto.Signature;
+
+        const input = new Transaction.Input({
+            prevTxId: prevTxid,
+            outputIndex: 0,
+            output: new Transaction.Output({ script: Script.buildScriptHashOut(lock), satoshis: prevSatoshis }),
+            script: Script.empty()
+        });
+
+        const tx = new Transaction();
+        tx.uncheckedAddInput(input);
+        tx.addOutput(new Transaction.Output(output));
+
+        const signature = Transaction.sighash.sign(tx, privateKey, SIGHASH_ALL, 0, lock);
+        const unlock = new Script(partial.toBuffer())
+            .add(Buffer.concat([signature.toDER(), Buffer.from([SIGHASH_ALL])]))
+            .add(lock.toBuffer());
+        input.setScript(unlock);
+
+        return tx;
+    }
+}
+
+// Create global inscription builder instance
+window.inscriptionBuilder = new InscriptionBuilder();
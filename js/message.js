@@ -0,0 +1,81 @@
+/**
+ * Message Signing for Woof Wallet
+ * Signs and verifies messages under the Dogecoin signed-message prefix, compatible with
+ * Dogecoin Core's signmessage and verifymessage
+ */
+
+const messageBitcore = require ? require("bitcore-lib") : window.bitcore;
+const MESSAGE_MAGIC = 'Dogecoin Signed Message:\n';
+const COMPACT_SIGNATURE_BYTES = 65; // Recovery header followed by r and s
+
+class MessageSigner {
+    /**
+     * Double SHA-256 of the varint-prefixed magic and message, as Dogecoin Core hashes it
+     */
+    magicHash(message) {
+        const { Buffer } = messageBitcore.deps;
+        const { BufferWriter } = messageBitcore.encoding;
+        const magic = Buffer.from(MESSAGE_MAGIC, 'utf8');
+        const body = Buffer.from(message, 'utf8');
+
+        return messageBitcore.crypto.Hash.sha256sha256(Buffer.concat([
+            BufferWriter.varintBufNum(magic.length),
+            magic,
+            BufferWriter.varintBufNum(body.length),
+            body
+        ]));
+    }
+
+    /**
+     * Sign a message, returning a base64 compact signature
+     */
+    sign(message, privateKey) {
+        const ecdsa = new messageBitcore.crypto.ECDSA();
+        ecdsa.hashbuf = this.magicHash(message);
+        ecdsa.privkey = privateKey;
+        ecdsa.pubkey = privateKey.toPublicKey();
+        ecdsa.sign();
+        ecdsa.calci();
+
+        return ecdsa.sig.toCompact().toString('base64');
+    }
+
+    /**
+     * Recover the address that produced a base64 compact signature over a message
+     */
+    recoverAddress(message, signature) {
+        const { Buffer } = messageBitcore.deps;
+        const signatureBuffer = Buffer.from(signature.trim(), 'base64');
+        if (signatureBuffer.length !== COMPACT_SIGNATURE_BYTES) {
+            throw new Error('Malformed signature: expected a base64 compact signature');
+        }
+
+        const ecdsa = new messageBitcore.crypto.ECDSA();
+        ecdsa.hashbuf = this.magicHash(message);
+        ecdsa.sig = messageBitcore.crypto.Signature.fromCompact(signatureBuffer);
+
+        return messageBitcore.Address.fromPublicKey(ecdsa.toPublicKey()).toString();
+    }
+
+    /**
+     * Check that a signature over a message was made by the key of an address
+     */
+    verify(message, address, signature) {
+        if (!messageBitcore.Address.isValid(address.trim())) {
+            throw new Error('Invalid Dogecoin address');
+        }
+
+        try {
+            return this.recoverAddress(message, signature) === address.trim();
+        } catch (error) {
+            // A signature from which no key can be recovered is simply not a valid one
+            if (error.message.startsWith('Malformed signature')) {
+                throw error;
+            }
+            return false;
+        }
+    }
+}
+
+// Create global message signer instance
+window.messageSigner = new MessageSigner();
@@ -0,0 +1,184 @@
+/**
+ * QR Transport for Woof Wallet
+ * Moves data too large for one QR code as a sequence of frames, and reads QR codes from the camera or images
+ */
+
+const QR_FRAME_PREFIX = 'WOOF';
+const QR_FRAME_CHARS = 500; // Payload per frame; keeps each code small enough to scan from a screen
+const QR_FRAME_INTERVAL_MS = 800;
+
+class QRTransport {
+    constructor() {
+        this.animation = null;
+        this.scanLoop = null;
+        this.stream = null;
+    }
+
+    /**
+     * Split text into "WOOF:<index>/<total>:<chunk>" frames
+     */
+    encodeFrames(text) {
+        const total = Math.max(1, Math.ceil(text.length / QR_FRAME_CHARS));
+        const frames = [];
+
+        for (let i = 0; i < total; i++) {
+            const chunk = text.slice(i * QR_FRAME_CHARS, (i + 1) * QR_FRAME_CHARS);
+            frames.push(`${QR_FRAME_PREFIX}:${i + 1}/${total}:${chunk}`);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Create a collector that reassembles frames in any order
+     * add() returns the full text once every frame has been seen, otherwise null;
+     * text that is not a frame is returned as is
+     */
+    createCollector() {
+        const chunks = new Map();
+        let expected = null;
+
+        return {
+            add(text) {
+                const match = new RegExp(`^${QR_FRAME_PREFIX}:(\\d+)/(\\d+):([\\s\\S]*)$`).exec(text);
+                if (!match) {
+                    return text;
+                }
+
+                const index = Number(match[1]);
+                const total = Number(match[2]);
+                // A frame numbered outside 1..total would let the count complete with a part missing
+                if (!Number.isInteger(index) || !Number.isInteger(total) || index < 1 || index > total) {
+                    return null;
+                }
+
+                if (expected !== total) {
+                    chunks.clear();
+                    expected = total;
+                }
+                chunks.set(index, match[3]);
+
+                let joined = '';
+                for (let i = 1; i <= total; i++) {
+                    if (!chunks.has(i)) {
+                        return null;
+                    }
+                    joined += chunks.get(i);
+                }
+                return joined;
+            },
+
+            progress() {
+                return { received: chunks.size, total: expected || 0 };
+            }
+        };
+    }
+
+    /**
+     * Show the frames on a canvas, cycling through them when there is more than one
+     */
+    showFrames(frames, canvas, counter) {
+        this.stopFrames();
+
+        let current = 0;
+        const draw = () => {
+            renderQRToCanvas(createQRCode(frames[current], 'L'), canvas, 320);
+            if (counter) {
+                counter.textContent = frames.length > 1 ? `Frame ${current + 1} of ${frames.length}` : '';
+            }
+            current = (current + 1) % frames.length;
+        };
+
+        draw();
+        if (frames.length > 1) {
+            this.animation = setInterval(draw, QR_FRAME_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Stop cycling frames
+     */
+    stopFrames() {
+        if (this.animation) {
+            clearInterval(this.animation);
+            this.animation = null;
+        }
+    }
+
+    /**
+     * Scan QR codes from the camera into a video element until onText returns true
+     */
+    async startScan(video, onText) {
+        this.stopScan();
+
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera access is not available in this browser');
+        }
+
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = this.stream;
+        video.setAttribute('playsinline', 'true');
+        await video.play();
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+
+        const tick = () => {
+            if (!this.stream) return;
+
+            if (video.readyState === video.HAVE_ENOUGH_DATA) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                const image = context.getImageData(0, 0, canvas.width, canvas.height);
+                const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+                if (code && code.data && onText(code.data)) {
+                    this.stopScan();
+                    return;
+                }
+            }
+
+            this.scanLoop = requestAnimationFrame(tick);
+        };
+
+        this.scanLoop = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop the camera
+     */
+    stopScan() {
+        if (this.scanLoop) {
+            cancelAnimationFrame(this.scanLoop);
+            this.scanLoop = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Read a QR code from an image file
+     */
+    async decodeImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height);
+        if (!code) {
+            throw new Error('No QR code found in the image');
+        }
+        return code.data;
+    }
+}
+
+// Create global QR transport instance
+window.qrTransport = new QRTransport();
@@ -3,9 +3,39 @@
  * Replaces browser.storage with localStorage for web compatibility
  */
 
+const STORAGE_PREFIX = 'woof_wallet_';
+const DEFAULT_WALLET_ID = 'default';
+
+// Keys that belong to a single wallet (stored under w_<id>_)
+const WALLET_KEYS = ['vault', 'privkey', 'mnemonic', 'derivation'];
+// Keys that belong to a single account of a wallet (stored under w_<id>_a<index>_)
+const ACCOUNT_KEYS = ['public_credentials', 'hd_state', 'utxos'];
+
 class WalletStorage {
-    constructor() {
-        this.prefix = 'woof_wallet_';
+    constructor(prefix = STORAGE_PREFIX) {
+        this.prefix = prefix;
+        this.isScoped = prefix !== STORAGE_PREFIX;
+    }
+
+    /**
+     * Get a storage view whose keys are namespaced under this one
+     */
+    scope(namespace) {
+        return new WalletStorage(`${this.prefix}${namespace}_`);
+    }
+
+    /**
+     * Get the storage namespace of a wallet
+     */
+    forWallet(walletId) {
+        return this.scope(`w_${walletId}`);
+    }
+
+    /**
+     * Get the storage namespace of an account within a wallet
+     */
+    forAccount(walletId, accountIndex) {
+        return this.forWallet(walletId).scope(`a${accountIndex}`);
     }
 
     /**
@@ -247,8 +277,9 @@ class WalletStorage {
 
     /**
      * Migrate data from old storage format if needed
+     * When encryptSecrets is supplied (on unlock), plaintext keys are moved into the vault
      */
-    async migrate() {
+    async migrate(encryptSecrets = null) {
         try {
             // Check if we need to migrate from any old format
             // This could be expanded later if needed
@@ -285,6 +316,30 @@ class WalletStorage {
                 
                 console.log('Legacy data migration completed');
             }
+
+            // Move a single flat wallet into its own namespace
+            if (!this.isScoped) {
+                await this.migrateToNamespaces();
+            }
+
+            // Encrypt plaintext key material written by older versions
+            if (encryptSecrets) {
+                const plaintext = await this.getMultiple(['privkey', 'mnemonic', 'vault']);
+
+                if (plaintext.privkey && !plaintext.vault) {
+                    console.log('Encrypting plaintext wallet keys...');
+                    const vault = await encryptSecrets({
+                        privkey: plaintext.privkey,
+                        mnemonic: plaintext.mnemonic || null
+                    });
+                    await this.set('vault', vault);
+                }
+
+                if (plaintext.privkey || plaintext.mnemonic) {
+                    await this.removeMultiple(['privkey', 'mnemonic']);
+                    console.log('Plaintext wallet keys removed');
+                }
+            }
             
             return true;
         } catch (error) {
@@ -293,6 +348,52 @@ class WalletStorage {
             return false;
         }
     }
+
+    /**
+     * Move the flat single-wallet layout into a default wallet namespace
+     */
+    async migrateToNamespaces() {
+        const flat = await this.getMultiple([...WALLET_KEYS, ...ACCOUNT_KEYS, 'wallets']);
+
+        if (flat.wallets || !(flat.vault || flat.privkey)) {
+            return false;
+        }
+
+        console.log('Moving wallet data into a wallet namespace...');
+
+        const walletScope = this.forWallet(DEFAULT_WALLET_ID);
+        const accountScope = this.forAccount(DEFAULT_WALLET_ID, 0);
+
+        for (const key of WALLET_KEYS) {
+            if (flat[key] !== undefined) {
+                await walletScope.set(key, flat[key]);
+            }
+        }
+
+        for (const key of ACCOUNT_KEYS) {
+            if (flat[key] !== undefined) {
+                await accountScope.set(key, flat[key]);
+            }
+        }
+
+        const isHD = !!(flat.derivation || flat.mnemonic ||
+            (flat.public_credentials && flat.public_credentials.xpub));
+
+        await this.setMultiple({
+            wallets: [{
+                id: DEFAULT_WALLET_ID,
+                name: 'Wallet 1',
+                type: isHD ? 'mnemonic' : 'privkey',
+                accounts: [{ index: 0, name: 'Account 1' }],
+                activeAccount: 0
+            }],
+            active_wallet: DEFAULT_WALLET_ID
+        });
+        await this.removeMultiple([...WALLET_KEYS, ...ACCOUNT_KEYS]);
+
+        console.log('Wallet namespace migration completed');
+        return true;
+    }
 }
 
 // Create global storage instance
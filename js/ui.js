@@ -15,6 +15,16 @@ class WalletUI {
         this.accessibilityMode = false;
         this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         this.highContrast = window.matchMedia('(prefers-contrast: high)').matches;
+        this.coinSelection = new Set(); // Hand-picked outpoints for the next send
+        this.sendMax = false; // Send every safe coin minus the fee
+        this.messageMode = 'sign'; // Whether the message tool signs or verifies
+        this.receiveAddress = null; // Address the payment request is built for
+        this.pendingPaymentURI = null; // dogecoin: link opened before the wallet was ready
+        this.qrScanTarget = null; // Field the QR scanner fills and what it accepts
+        this.detailTxid = null; // Transaction shown in the detail view
+        this.detailTick = null; // Token shown in the detail view
+        this.securingLegacyWallet = false; // Password setup encrypts an existing wallet's plaintext keys
+        this.feeBump = null; // Pending transaction being sped up or cancelled, and which of the two
     }
 
     /**
@@ -501,11 +511,25 @@ class WalletUI {
 
         // Set up remaining event listeners...
         this.setupBackButtons();
+        this.setupImportOptions();
         this.setupWalletActions();
         this.setupModals();
         this.setupSettings();
         this.setupPasswordSetup();
         this.setupWalletUnlock();
+        this.setupWalletSwitcher();
+        this.setupCoinControl();
+        this.setupBatchSend();
+        this.setupTransactionReview();
+        this.setupOfflineSigning();
+        this.setupMessageSigning();
+        this.setupSweep();
+        this.setupFeeBump();
+        this.setupQRScanner();
+        this.setupAddressBook();
+        this.setupTransactionDetails();
+        this.setupInscribe();
+        this.setupTokens();
         this.setupActivityTracking();
     }
 
@@ -572,7 +596,8 @@ class WalletUI {
         const backButtons = [
             'back_to_setup_button',
             'back_to_import_options_button',
-            'back_to_import_options_button2'
+            'back_to_import_options_button2',
+            'back_to_import_options_button3'
         ];
 
         backButtons.forEach(id => {
@@ -589,6 +614,27 @@ class WalletUI {
         });
     }
 
+    /**
+     * Set up the import method choices and their continue buttons
+     */
+    setupImportOptions() {
+        const actions = {
+            import_seed_button: () => this.showImportSeedScreen(),
+            import_private_key_button: () => this.showImportKeyScreen(),
+            import_watch_only_button: () => this.showImportWatchScreen(),
+            import_seed_ok_button: () => this.handleImportSeedValidation(),
+            import_key_ok_button: () => this.handleImportKeyValidation(),
+            import_watch_ok_button: () => this.handleImportWatchOnly()
+        };
+
+        Object.entries(actions).forEach(([id, action]) => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.addEventListener('click', action);
+            }
+        });
+    }
+
     /**
      * Set up wallet tabs
      */
@@ -642,6 +688,12 @@ class WalletUI {
             sendDoginalBtn.addEventListener('click', () => this.handleSendDoginal());
         }
 
+        // Split a multi-inscription output
+        const splitDoginalBtn = document.getElementById('split_doginal_button');
+        if (splitDoginalBtn) {
+            splitDoginalBtn.addEventListener('click', () => this.handleSplitDoginal());
+        }
+
         // Modal send doge
         const modalSendBtn = document.getElementById('modal_send_doge_button');
         if (modalSendBtn) {
@@ -650,6 +702,70 @@ class WalletUI {
                 this.handleModalSendDoge();
             });
         }
+
+        // A pasted dogecoin: payment link fills in the whole form
+        const modalAddressInput = document.getElementById('modal_send_address');
+        if (modalAddressInput) {
+            modalAddressInput.addEventListener('input', () => {
+                if (wallet.isPaymentURI(modalAddressInput.value)) {
+                    this.applyPaymentURI(modalAddressInput.value);
+                }
+            });
+        }
+
+        // Payment request fields rebuild the receive QR code
+        ['receive_request_amount', 'receive_request_label', 'receive_request_message'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updatePaymentRequest());
+            }
+        });
+
+        const copyPaymentURIBtn = document.getElementById('copy_payment_uri_button');
+        if (copyPaymentURIBtn) {
+            copyPaymentURIBtn.addEventListener('click', () => {
+                const uri = document.getElementById('modal_payment_uri');
+                if (uri && uri.textContent) {
+                    this.copyToClipboard(uri.textContent, copyPaymentURIBtn);
+                }
+            });
+        }
+
+        // Live fee preview
+        const modalAmountInput = document.getElementById('modal_send_amount');
+        const modalFeeSelect = document.getElementById('modal_send_fee');
+        if (modalAmountInput) {
+            modalAmountInput.addEventListener('input', () => {
+                // Typing an amount leaves Max mode
+                this.setSendMax(false);
+                this.updateFeePreview();
+            });
+        }
+
+        // Max sends everything spendable
+        const maxButton = document.getElementById('modal_send_max_button');
+        if (maxButton) {
+            maxButton.addEventListener('click', () => {
+                this.setSendMax(!this.sendMax);
+                this.updateFeePreview();
+            });
+        }
+        if (modalFeeSelect) {
+            modalFeeSelect.addEventListener('change', () => this.updateFeePreview());
+        }
+
+        // Coin selection strategies
+        const strategySelect = document.getElementById('modal_coin_strategy');
+        if (strategySelect) {
+            coinSelector.getStrategies().forEach(({ name, label }) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = label;
+                strategySelect.appendChild(option);
+            });
+            strategySelect.value = coinSelector.defaultStrategy;
+            strategySelect.addEventListener('change', () => this.updateFeePreview());
+        }
     }
 
     /**
@@ -809,12 +925,24 @@ class WalletUI {
         }
     }
 
+    /**
+     * Show import watch-only screen
+     */
+    showImportWatchScreen() {
+        this.showScreen('import_watch_screen');
+        // Clear previous input
+        const textarea = document.getElementById('watch_only_textarea');
+        if (textarea) {
+            textarea.value = '';
+        }
+    }
+
     /**
      * Show wallet screen
      */
     showWalletScreen() {
         // Safety check: don't show wallet screen without credentials
-        if (!wallet.credentials) {
+        if (!wallet.credentials && !wallet.isWatchOnly()) {
             console.warn('⚠️ Attempted to show wallet screen without credentials - redirecting to setup');
             this.showSetupScreen();
             return;
@@ -824,6 +952,13 @@ class WalletUI {
         this.updateWalletDisplay();
         this.updateButtonStates(); // Ensure buttons are in correct state
         this.switchTab('history'); // Start with history tab in new UI
+
+        // A dogecoin: link the app was opened with waits for the wallet to be ready
+        if (this.pendingPaymentURI) {
+            const uri = this.pendingPaymentURI;
+            this.pendingPaymentURI = null;
+            this.openPaymentURI(uri);
+        }
         
         // Extra safety check to ensure loading screen is hidden
         setTimeout(() => {
@@ -963,11 +1098,8 @@ class WalletUI {
                 throw new Error('No credentials generated');
             }
 
-            await wallet.storeCredentials(this.pendingCredentials);
-            this.pendingCredentials = null;
-            
-            this.showWalletScreen();
-            await this.handleRefresh();
+            // Credentials are only stored encrypted, so a password is required first
+            await this.continueWithPassword();
         } catch (error) {
             console.error('Failed to create wallet:', error);
             this.showError('Failed to create wallet');
@@ -990,11 +1122,8 @@ class WalletUI {
                 throw new Error('Please enter your seed phrase');
             }
 
-            const credentials = wallet.createCredentialsFromMnemonic(seedText);
-            await wallet.storeCredentials(credentials);
-            
-            this.showWalletScreen();
-            await this.handleRefresh();
+            this.pendingCredentials = await wallet.createCredentialsFromMnemonic(seedText);
+            await this.continueWithPassword();
         } catch (error) {
             console.error('Failed to import seed:', error);
             this.showError('Failed to import seed phrase: ' + error.message);
@@ -1017,11 +1146,8 @@ class WalletUI {
                 throw new Error('Please enter your private key');
             }
 
-            const credentials = wallet.createCredentialsFromPrivateKey(keyText);
-            await wallet.storeCredentials(credentials);
-            
-            this.showWalletScreen();
-            await this.handleRefresh();
+            this.pendingCredentials = wallet.createCredentialsFromPrivateKey(keyText);
+            await this.continueWithPassword();
         } catch (error) {
             console.error('Failed to import private key:', error);
             this.showError('Failed to import private key: ' + error.message);
@@ -1030,12 +1156,43 @@ class WalletUI {
         }
     }
 
+    /**
+     * Handle import of a watch-only address or xpub; there are no keys, so no password is needed
+     */
+    async handleImportWatchOnly() {
+        try {
+            this.setButtonLoading('import_watch_ok_button', true);
+
+            const textarea = document.getElementById('watch_only_textarea');
+            const text = textarea.value.trim();
+
+            if (!text) {
+                throw new Error('Please enter an address or xpub');
+            }
+
+            const watchCredentials = await wallet.createWatchOnlyCredentials(text);
+            await wallet.storeWatchOnly(watchCredentials, this.pendingWalletName);
+            this.pendingWalletName = null;
+
+            const cancelButton = document.getElementById('cancel_add_wallet_button');
+            if (cancelButton) cancelButton.style.display = 'none';
+
+            this.showWalletScreen();
+            await this.handleRefresh();
+        } catch (error) {
+            console.error('Failed to import watch-only wallet:', error);
+            this.showError('Failed to add watch-only wallet: ' + error.message);
+        } finally {
+            this.setButtonLoading('import_watch_ok_button', false);
+        }
+    }
+
     /**
      * Handle refresh
      */
     async handleRefresh() {
         try {
-            if (!wallet.credentials) return;
+            if (!wallet.hasWatchAddress()) return;
             
             this.setLoading(true);
             await wallet.refreshAll();
@@ -1060,21 +1217,23 @@ class WalletUI {
             
             const address = addressInput.value.trim();
             const amount = parseFloat(amountInput.value);
-            const fee = parseFloat(feeInput.value);
+            const feePreset = feeInput.value;
             
-            if (!address || !amount || !fee) {
+            if (!address || !amount || !feePreset) {
                 throw new Error('Please fill in all fields');
             }
 
             this.setButtonLoading('send_doge_button', true);
             
-            const txid = await wallet.sendDoge(address, amount, fee);
-            
-            // Clear form
-            addressInput.value = '';
-            amountInput.value = '';
-            
-            this.showSuccessModal(txid);
+            const draft = await wallet.createSendDraft([{ address, amount }], { feePreset });
+
+            this.showTransactionReview(draft, {
+                onSent: () => {
+                    // Clear form
+                    addressInput.value = '';
+                    amountInput.value = '';
+                }
+            });
         } catch (error) {
             console.error('Failed to send DOGE:', error);
             this.showError('Failed to send DOGE: ' + error.message);
@@ -1092,11 +1251,15 @@ class WalletUI {
             const amountInput = document.getElementById('modal_send_amount');
             const feeInput = document.getElementById('modal_send_fee');
             
+            const memoInput = document.getElementById('modal_send_memo');
+            
             const address = addressInput.value.trim();
             const amount = parseFloat(amountInput.value);
-            const fee = parseFloat(feeInput.value);
+            const feePreset = feeInput.value;
+            const max = this.sendMax;
+            const memo = memoInput ? memoInput.value.trim() : '';
             
-            if (!address || !amount || !fee) {
+            if (!address || (!amount && !max) || !feePreset) {
                 throw new Error('Please fill in all fields');
             }
 
@@ -1105,36 +1268,43 @@ class WalletUI {
                 throw new Error('Invalid Dogecoin address format');
             }
 
-            // Validate amount
-            const balance = wallet.getBalance();
-            if (amount + fee > balance.total) {
-                throw new Error('Insufficient balance (including fee)');
-            }
-
-            if (amount <= 0) {
+            if (!max && amount <= 0) {
                 throw new Error('Amount must be greater than 0');
             }
 
-            if (fee < 0.1) {
-                throw new Error('Fee must be at least 0.1 DOGE');
-            }
-
             this.setButtonLoading('modal_send_doge_button', true);
             
-            const txid = await wallet.sendDoge(address, amount, fee);
-            
-            // Clear form and close modal
-            addressInput.value = '';
-            amountInput.value = '';
-            feeInput.value = '1.0';
-            
+            // Send at the rate shown in the preview; funds and fee are checked against the built transaction
+            const feeRate = this.feeEstimates ? this.feeEstimates[feePreset] : null;
+            const strategySelect = document.getElementById('modal_coin_strategy');
+            const strategy = strategySelect ? strategySelect.value : undefined;
+            const inputs = this.coinSelection.size > 0 ? [...this.coinSelection] : null;
+            const draft = await wallet.createSendDraft([{ address, amount }], { feeRate, feePreset, strategy, inputs, max, memo });
+
+            // Nothing is signed until the draft is confirmed on the review screen
             this.hideModal('send_modal');
-            this.showSuccessModal(txid);
-            
-            // Refresh wallet data after successful send
-            setTimeout(() => this.handleRefresh(), 1000);
+            this.showTransactionReview(draft, {
+                returnTo: 'send_modal',
+                onSent: () => {
+                    // Hand-picked coins and Max only apply to one send
+                    this.coinSelection.clear();
+                    this.setSendMax(false);
+
+                    // Clear form
+                    addressInput.value = '';
+                    amountInput.value = '';
+                    feeInput.value = 'normal';
+                    if (memoInput) memoInput.value = '';
+                    this.checkAddressInput('modal_send_address', 'modal_send_address_warning');
+                }
+            });
         } catch (error) {
             console.error('Failed to send DOGE:', error);
+            if (error instanceof WalletLockedError) {
+                this.hideModal('send_modal');
+                this.handleWalletLock();
+                return;
+            }
             this.showErrorModal('Failed to send DOGE: ' + error.message);
         } finally {
             this.setButtonLoading('modal_send_doge_button', false);
@@ -1159,23 +1329,51 @@ class WalletUI {
 
             this.setButtonLoading('send_doginal_button', true);
             
-            const txid = await wallet.sendDoginal(this.selectedInscription.id, address);
+            const draft = await wallet.createDoginalDraft(this.selectedInscription.id, address);
             
             this.hideModal('doginal_modal');
-            this.showSuccessModal(txid);
+            this.showTransactionReview(draft, { returnTo: 'doginal_modal' });
         } catch (error) {
             console.error('Failed to send doginal:', error);
+            if (error instanceof WalletLockedError) {
+                this.hideModal('doginal_modal');
+                this.handleWalletLock();
+                return;
+            }
             this.showError('Failed to send doginal: ' + error.message);
         } finally {
             this.setButtonLoading('send_doginal_button', false);
         }
     }
 
+    /**
+     * Draft a split of the selected doginal's output and open it for review
+     */
+    async handleSplitDoginal() {
+        try {
+            if (!this.selectedInscription) {
+                throw new Error('No inscription selected');
+            }
+
+            this.setButtonLoading('split_doginal_button', true);
+
+            const draft = await wallet.createSplitDraft(this.selectedInscription.outpoint);
+
+            this.hideModal('doginal_modal');
+            this.showTransactionReview(draft, { returnTo: 'doginal_modal' });
+        } catch (error) {
+            console.error('Failed to split doginal output:', error);
+            this.showError('Failed to split output: ' + error.message);
+        } finally {
+            this.setButtonLoading('split_doginal_button', false);
+        }
+    }
+
     /**
      * Update wallet display
      */
     updateWalletDisplay() {
-        if (!wallet.credentials) {
+        if (!wallet.hasWatchAddress()) {
             this.updateButtonStates(); // Update button states even when no credentials
             return;
         }
@@ -1185,6 +1383,8 @@ class WalletUI {
 
         const address = wallet.getAddress();
         
+        this.updateWalletSwitcher();
+
         // Update address in new UI (short version)
         const addressShortElement = document.getElementById('wallet_address_short');
         if (addressShortElement) {
@@ -1316,13 +1516,19 @@ class WalletUI {
      * Update history tab
      */
     async updateHistoryTab() {
+        this.renderPendingTransactions();
+
         const container = document.getElementById('history_container');
         if (!container) return;
 
-        const transactions = wallet.transactions;
+        const searchInput = document.getElementById('history_search');
+        const query = searchInput ? searchInput.value : '';
+        const transactions = wallet.searchTransactions(query);
         
         if (transactions.length === 0) {
-            container.innerHTML = '<div class="loading-message">No transactions found</div>';
+            container.innerHTML = query.trim() && wallet.transactions.length > 0
+                ? '<div class="loading-message">No matching transactions</div>'
+                : '<div class="loading-message">No transactions found</div>';
             return;
         }
 
@@ -1334,16 +1540,170 @@ class WalletUI {
         });
     }
 
+    /**
+     * List our unconfirmed broadcasts with speed up and cancel actions
+     */
+    renderPendingTransactions() {
+        const container = document.getElementById('pending_container');
+        if (!container) return;
+
+        const pendingTransactions = wallet.getPendingTransactions();
+        container.innerHTML = '';
+        container.style.display = pendingTransactions.length > 0 ? '' : 'none';
+
+        const labels = { send: 'Sent', doginal: 'Doginal sent', 'speed-up': 'Speed-up', cancel: 'Cancellation', inscription: 'Inscription commit', split: 'Inscriptions split' };
+
+        pendingTransactions.forEach(pending => {
+            const item = document.createElement('div');
+            item.className = 'transaction-item-modern pending-item';
+
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'transaction-info';
+
+            const title = document.createElement('div');
+            title.className = 'transaction-title';
+            title.textContent = `${labels[pending.type] || 'Transaction'} #${pending.txid.substring(0, 8)}`;
+
+            const details = document.createElement('div');
+            details.className = 'transaction-time';
+            if (pending.status === 'signed') {
+                details.textContent = 'Broadcast interrupted · retrying';
+            } else {
+                details.textContent = pending.bumpedBy
+                    ? `Pending · sped up by #${pending.bumpedBy.substring(0, 8)}`
+                    : `Pending · ${Math.round(pending.fee / pending.size)} sat/byte`;
+            }
+            if (pending.rebroadcasts > 0) {
+                details.textContent += ` · rebroadcast ${pending.rebroadcasts}×`;
+            }
+
+            infoDiv.append(title, details);
+
+            const actions = document.createElement('div');
+            actions.className = 'pending-actions';
+
+            if (pending.canSpeedUp) {
+                const speedUp = document.createElement('button');
+                speedUp.className = 'link-button';
+                speedUp.textContent = 'Speed up';
+                speedUp.addEventListener('click', () => this.handleSpeedUp(pending.txid));
+                actions.appendChild(speedUp);
+            }
+
+            if (pending.canCancel) {
+                const cancel = document.createElement('button');
+                cancel.className = 'link-button';
+                cancel.textContent = 'Cancel';
+                cancel.addEventListener('click', () => this.handleCancelTransaction(pending.txid));
+                actions.appendChild(cancel);
+            }
+
+            item.append(infoDiv, actions);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Review a child transaction that pays the fee for a stuck send (CPFP)
+     */
+    async handleSpeedUp(txid) {
+        if (!this.isWalletReady()) {
+            this.showErrorModal('Wallet is locked. Please unlock it first.');
+            return;
+        }
+
+        this.showFeeBumpModal('speed-up', txid);
+    }
+
+    /**
+     * Review a replacement that returns a stuck send's coins to this wallet (RBF)
+     */
+    async handleCancelTransaction(txid) {
+        if (!this.isWalletReady()) {
+            this.showErrorModal('Wallet is locked. Please unlock it first.');
+            return;
+        }
+
+        this.showFeeBumpModal('cancel', txid);
+    }
+
+    /**
+     * Set up the fee choice for speeding up or cancelling a pending transaction
+     */
+    setupFeeBump() {
+        const reviewButton = document.getElementById('fee_bump_review_button');
+        if (reviewButton) {
+            reviewButton.addEventListener('click', () => this.handleFeeBump());
+        }
+    }
+
+    /**
+     * Ask which fee preset a speed-up or cancellation should pay
+     */
+    showFeeBumpModal(action, txid) {
+        this.feeBump = { action, txid };
+
+        const title = document.getElementById('fee_bump_title');
+        if (title) title.textContent = action === 'cancel' ? 'Cancel Transaction' : 'Speed Up Transaction';
+        const help = document.getElementById('fee_bump_help');
+        if (help) {
+            help.textContent = action === 'cancel'
+                ? `Replace #${txid.substring(0, 8)} with a transaction that returns its coins to this wallet. It must pay more than the original, including any speed-up.`
+                : `Send #${txid.substring(0, 8)}'s change back to this wallet with a fee high enough that both confirm at the chosen rate.`;
+        }
+        const errorElement = document.getElementById('fee-bump-error');
+        if (errorElement) errorElement.textContent = '';
+
+        this.showModal('fee_bump_modal');
+    }
+
+    /**
+     * Draft the speed-up or cancellation at the chosen fee preset and review it
+     */
+    async handleFeeBump() {
+        if (!this.feeBump) return;
+
+        const { action, txid } = this.feeBump;
+        const feeSelect = document.getElementById('fee_bump_fee');
+        const errorElement = document.getElementById('fee-bump-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            this.setButtonLoading('fee_bump_review_button', true);
+
+            const feeRate = await wallet.getFeeRate(feeSelect ? feeSelect.value : 'fast');
+            const draft = action === 'cancel'
+                ? await wallet.createCancelDraft(txid, feeRate)
+                : await wallet.createSpeedUpDraft(txid, feeRate);
+
+            this.hideModal('fee_bump_modal');
+            this.showTransactionReview(draft, { returnTo: 'fee_bump_modal' });
+        } catch (error) {
+            console.error(`Failed to ${action === 'cancel' ? 'cancel' : 'speed up'} transaction:`, error);
+            if (errorElement) errorElement.textContent = error.message;
+        } finally {
+            this.setButtonLoading('fee_bump_review_button', false);
+        }
+    }
+
     /**
      * Create history item element - updated for new UI
      */
     createHistoryItem(tx) {
         const item = document.createElement('div');
         item.className = 'transaction-item-modern';
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+        item.addEventListener('click', () => this.showTransactionDetail(tx));
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.showTransactionDetail(tx);
+            }
+        });
 
-        const walletAddress = wallet.getAddress();
-        const isReceived = tx.outputs.some(out => out.addresses && out.addresses.includes(walletAddress));
-        const isSent = tx.inputs.some(inp => inp.addresses && inp.addresses.includes(walletAddress));
+        const isIncoming = wallet.isIncomingTransaction(tx);
+        const { label, category, notes } = wallet.getTransactionLabel(tx.txid);
 
         // Transaction info section
         const infoDiv = document.createElement('div');
@@ -1351,7 +1711,13 @@ class WalletUI {
 
         const title = document.createElement('div');
         title.className = 'transaction-title';
-        title.textContent = `Transaction #${tx.txid.substring(0, 8)}`;
+        title.textContent = label || `Transaction #${tx.txid.substring(0, 8)}`;
+        if (category) {
+            const badge = document.createElement('span');
+            badge.className = 'coin-badge';
+            badge.textContent = category;
+            title.appendChild(badge);
+        }
 
         const time = document.createElement('div');
         time.className = 'transaction-time';
@@ -1374,13 +1740,20 @@ class WalletUI {
         infoDiv.appendChild(title);
         infoDiv.appendChild(time);
 
+        if (notes) {
+            const notesLine = document.createElement('div');
+            notesLine.className = 'transaction-notes';
+            notesLine.textContent = notes;
+            infoDiv.appendChild(notesLine);
+        }
+
         // Amount and status section
         const amountDiv = document.createElement('div');
         
         const amount = document.createElement('div');
         amount.className = 'transaction-amount';
         
-        if (isReceived && !isSent) {
+        if (isIncoming) {
             amount.classList.add('positive');
             amount.textContent = `+${(tx.value / 100000000).toFixed(2)} DOGE`;
         } else {
@@ -1390,7 +1763,7 @@ class WalletUI {
 
         const status = document.createElement('div');
         status.className = 'transaction-status';
-        status.textContent = isReceived && !isSent ? 'Received' : 'Sent';
+        status.textContent = isIncoming ? 'Received' : 'Sent';
 
         amountDiv.appendChild(amount);
         amountDiv.appendChild(status);
@@ -1402,102 +1775,527 @@ class WalletUI {
     }
 
     /**
-     * Update tokens tab
-     */
-    async updateTokensTab() {
-        const container = document.getElementById('tokens_tab');
-        if (!container) return;
-
-        // For now, just show a placeholder message
-        container.innerHTML = '<div class="loading-message">Token support coming soon!</div>';
-    }
-
-    /**
-     * Show doginal modal
+     * Set up history search and export and the transaction detail view
      */
-    showDoginalModal(inscription) {
-        this.selectedInscription = inscription;
-        
-        const modal = document.getElementById('doginal_modal');
-        const contentDisplay = document.getElementById('doginal_content_display');
-        const inscriptionId = document.getElementById('doginal_inscription_id');
-        const number = document.getElementById('doginal_number');
-        const sendAddress = document.getElementById('doginal_send_address');
-
-        if (contentDisplay && inscription.content.type === 'image') {
-            contentDisplay.innerHTML = `<img src="${inscription.content.data}" alt="Inscription ${inscription.id}" />`;
-        } else if (contentDisplay) {
-            contentDisplay.innerHTML = `<div class="text-content">${inscription.content.data}</div>`;
+    setupTransactionDetails() {
+        const searchInput = document.getElementById('history_search');
+        const exportButton = document.getElementById('export_history_button');
+        const saveButton = document.getElementById('tx_detail_save_button');
+        const copyButton = document.getElementById('tx_detail_copy_button');
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.updateHistoryTab());
         }
 
-        if (inscriptionId) {
-            inscriptionId.textContent = inscription.id;
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportHistoryCSV());
         }
 
-        if (number) {
-            number.textContent = inscription.metadata.number || 'Unknown';
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.handleSaveTransactionLabel());
         }
 
-        if (sendAddress) {
-            sendAddress.value = '';
+        if (copyButton) {
+            copyButton.addEventListener('click', () => {
+                if (this.detailTxid) {
+                    this.copyToClipboard(this.detailTxid, copyButton);
+                }
+            });
         }
-
-        this.showModal('doginal_modal');
     }
 
     /**
-     * Show success modal
+     * Show a history transaction with its editable label, category and notes
      */
-    showSuccessModal(txid) {
-        const txidElement = document.getElementById('success_txid');
-        const explorerBtn = document.getElementById('view_explorer_button');
-
-        if (txidElement) {
-            txidElement.textContent = txid;
+    showTransactionDetail(tx) {
+        this.detailTxid = tx.txid;
+
+        const isIncoming = wallet.isIncomingTransaction(tx);
+        const { label, category, notes } = wallet.getTransactionLabel(tx.txid);
+
+        const summary = document.getElementById('tx_detail_summary');
+        if (summary) {
+            summary.innerHTML = '';
+            [
+                ['Txid', tx.txid],
+                ['Date', tx.time ? new Date(tx.time * 1000).toLocaleString() : 'Pending'],
+                [isIncoming ? 'Received' : 'Sent', `${(tx.value / 100000000).toFixed(8)} DOGE`],
+                ['Inputs / outputs', `${tx.inputs.length} / ${tx.outputs.length}`]
+            ].forEach(([term, value]) => {
+                const dt = document.createElement('dt');
+                dt.textContent = term;
+                const dd = document.createElement('dd');
+                dd.textContent = value;
+                summary.append(dt, dd);
+            });
         }
 
-        if (explorerBtn) {
-            explorerBtn.onclick = () => {
-                window.open(`https://dogechain.info/tx/${txid}`, '_blank');
-            };
+        const categoryList = document.getElementById('tx_category_list');
+        if (categoryList) {
+            categoryList.innerHTML = '';
+            wallet.getTransactionCategories().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                categoryList.appendChild(option);
+            });
         }
 
-        this.showModal('success_modal');
-    }
+        document.getElementById('tx_detail_label').value = label;
+        document.getElementById('tx_detail_category').value = category;
+        document.getElementById('tx_detail_notes').value = notes;
+        document.getElementById('tx-detail-error').textContent = '';
 
-    /**
-     * Show error modal
-     */
-    showError(message) {
-        const errorMessage = document.getElementById('error_message');
-        if (errorMessage) {
-            errorMessage.textContent = message;
-        }
-        this.showModal('error_modal');
+        this.showModal('tx_detail_modal');
     }
 
     /**
-     * Show modal
+     * Save the label, category and notes of the transaction in the detail view
      */
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.add('active');
+    async handleSaveTransactionLabel() {
+        if (!this.detailTxid) return;
+
+        try {
+            await wallet.setTransactionLabel(this.detailTxid, {
+                label: document.getElementById('tx_detail_label').value,
+                category: document.getElementById('tx_detail_category').value,
+                notes: document.getElementById('tx_detail_notes').value
+            });
+
+            this.hideModal('tx_detail_modal');
+            this.detailTxid = null;
+            await this.updateHistoryTab();
+        } catch (error) {
+            const errorElement = document.getElementById('tx-detail-error');
+            if (errorElement) errorElement.textContent = 'Failed to save: ' + error.message;
         }
     }
 
     /**
-     * Hide modal
+     * Download the history with its labels, categories and notes as a CSV file
      */
-    hideModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('active');
-        }
+    exportHistoryCSV() {
+        const url = URL.createObjectURL(new Blob([wallet.exportHistoryCSV()], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `woof-history-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 
     /**
-     * Set button loading state
+     * Update tokens tab
+     */
+    async updateTokensTab() {
+        const container = document.getElementById('tokens_container');
+        if (!container) return;
+
+        container.innerHTML = '<div class="loading-message">Loading tokens...</div>';
+
+        let tokens;
+        try {
+            tokens = await wallet.refreshTokens();
+        } catch (error) {
+            const message = document.createElement('div');
+            message.className = 'loading-message';
+            message.textContent = 'Could not load token balances: ' + error.message;
+            container.replaceChildren(message);
+            return;
+        }
+
+        if (tokens.length === 0) {
+            container.innerHTML = '<div class="loading-message">No DRC-20 tokens found</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        tokens.forEach(token => container.appendChild(this.createTokenItem(token)));
+    }
+
+    /**
+     * Wire up the tokens tab
+     */
+    setupTokens() {
+        const refreshButton = document.getElementById('refresh_tokens_button');
+        const opSelect = document.getElementById('token_op');
+        const tickInput = document.getElementById('token_tick');
+        const reviewButton = document.getElementById('token_review_button');
+
+        if (refreshButton) {
+            refreshButton.addEventListener('click', () => this.updateTokensTab());
+        }
+
+        [['token_deploy_button', 'deploy'], ['token_mint_button', 'mint']].forEach(([id, op]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.showTokenInscribeModal(op));
+            }
+        });
+
+        [['token_detail_mint_button', 'mint'], ['token_detail_transfer_button', 'transfer']].forEach(([id, op]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.showTokenInscribeModal(op, this.detailTick));
+            }
+        });
+
+        if (opSelect) {
+            opSelect.addEventListener('change', () => this.updateTokenInscribeForm());
+        }
+
+        if (tickInput) {
+            tickInput.addEventListener('input', () => this.updateTokenInscribeForm());
+        }
+
+        if (reviewButton) {
+            reviewButton.addEventListener('click', () => this.handleReviewTokenInscription());
+        }
+    }
+
+    /**
+     * Show the DRC-20 inscription form for an operation, optionally for a given tick
+     */
+    showTokenInscribeModal(op, tick = '') {
+        if (!this.canSign()) {
+            this.showErrorModal(wallet.isWatchOnly()
+                ? 'A watch-only wallet cannot inscribe: the reveal transactions are signed on this device.'
+                : 'Wallet is locked. Please unlock it first.');
+            return;
+        }
+
+        document.getElementById('token_op').value = op;
+        document.getElementById('token_tick').value = tick;
+        ['token_amount', 'token_max', 'token_lim', 'token_dec'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('token-inscribe-error').textContent = '';
+
+        this.hideModal('token_modal');
+        this.updateTokenInscribeForm();
+        this.showModal('token_inscribe_modal');
+    }
+
+    /**
+     * Show the fields of the chosen operation, and warn before a transfer while another one is still unsent
+     */
+    updateTokenInscribeForm() {
+        const op = document.getElementById('token_op').value;
+        const tick = document.getElementById('token_tick').value.trim();
+        const warning = document.getElementById('token_transfer_warning');
+
+        document.getElementById('token_deploy_fields').style.display = op === 'deploy' ? '' : 'none';
+        document.getElementById('token_amount_group').style.display = op === 'deploy' ? 'none' : '';
+
+        if (!warning) return;
+        const unsent = op === 'transfer' && tick ? wallet.getTransferInscriptions(tick) : [];
+        warning.textContent = unsent.length > 0
+            ? `You already hold ${unsent.length} unsent ${tick} transfer inscription(s) (${unsent.map(item => item.amt).join(', ')}). ` +
+                'Send one of those from the token details instead; a new transfer locks more of your available balance.'
+            : '';
+    }
+
+    /**
+     * Draft a DRC-20 inscription and open it for review
+     */
+    async handleReviewTokenInscription() {
+        const errorElement = document.getElementById('token-inscribe-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            this.setButtonLoading('token_review_button', true);
+
+            const op = document.getElementById('token_op').value;
+            const fields = {
+                tick: document.getElementById('token_tick').value,
+                amt: document.getElementById('token_amount').value,
+                max: document.getElementById('token_max').value,
+                lim: document.getElementById('token_lim').value,
+                dec: document.getElementById('token_dec').value
+            };
+            const feePreset = document.getElementById('token_fee').value;
+            const draft = await wallet.createTokenInscriptionDraft(op, fields, { feePreset });
+
+            this.hideModal('token_inscribe_modal');
+            this.showTransactionReview(draft, { returnTo: 'token_inscribe_modal' });
+        } catch (error) {
+            console.error('Failed to draft token inscription:', error);
+            if (error instanceof WalletLockedError) {
+                this.hideModal('token_inscribe_modal');
+                this.handleWalletLock();
+                return;
+            }
+            if (errorElement) errorElement.textContent = error.message;
+        } finally {
+            this.setButtonLoading('token_review_button', false);
+        }
+    }
+
+    /**
+     * List the unsent transfer inscriptions of a tick, each with a button to send it
+     */
+    renderTokenTransfers(tick) {
+        const list = document.getElementById('token_transfers_list');
+        if (!list) return;
+
+        const transfers = wallet.getTransferInscriptions(tick);
+        list.innerHTML = '';
+        if (transfers.length === 0) {
+            list.textContent = 'None; inscribe a transfer to move tokens';
+            return;
+        }
+
+        transfers.forEach(transfer => {
+            const item = document.createElement('div');
+            item.className = 'token-history-item';
+            item.setAttribute('role', 'listitem');
+
+            const heading = document.createElement('div');
+            heading.className = 'transaction-title';
+            heading.textContent = `transfer ${transfer.amt} ${tick}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'transaction-time';
+            meta.textContent = transfer.status === 'ready'
+                ? transfer.inscriptionId
+                : 'Being inscribed; it can be sent once revealed';
+
+            item.append(heading, meta);
+
+            if (transfer.status === 'ready') {
+                const sendButton = document.createElement('button');
+                sendButton.className = 'link-button';
+                sendButton.textContent = 'Send';
+                sendButton.addEventListener('click', () => {
+                    this.hideModal('token_modal');
+                    this.showDoginalModal(transfer.inscription);
+                });
+                item.appendChild(sendButton);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create token balance item element
+     */
+    createTokenItem(token) {
+        const item = document.createElement('div');
+        item.className = 'token-item';
+        item.setAttribute('role', 'button');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-label', `View ${token.tick} details`);
+
+        const clickHandler = () => this.showTokenDetails(token.tick);
+        item.addEventListener('click', clickHandler);
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                clickHandler();
+            }
+        });
+
+        const tick = document.createElement('div');
+        tick.className = 'token-tick';
+        tick.textContent = token.tick;
+
+        const total = document.createElement('div');
+        total.className = 'token-total';
+        total.textContent = token.total;
+
+        // Transferable balance is already inscribed in transfer inscriptions and only moves by sending them
+        const split = document.createElement('div');
+        split.className = 'token-split';
+        split.textContent = `Available ${token.available} · Transferable ${token.transferable}`;
+
+        item.append(tick, total, split);
+        return item;
+    }
+
+    /**
+     * Show a token's deploy details and the wallet's mint/transfer inscriptions of it
+     */
+    async showTokenDetails(tick) {
+        const title = document.getElementById('token_modal_title');
+        const summary = document.getElementById('token_detail_summary');
+        const historyList = document.getElementById('token_history_list');
+        if (!summary || !historyList) return;
+
+        this.detailTick = tick;
+        if (title) title.textContent = tick;
+        summary.innerHTML = '';
+        this.renderTokenTransfers(tick);
+        historyList.innerHTML = '<div class="loading-message">Loading...</div>';
+        this.showModal('token_modal');
+
+        let details;
+        try {
+            details = await wallet.getTokenDetails(tick);
+        } catch (error) {
+            historyList.textContent = 'Could not load token details: ' + error.message;
+            return;
+        }
+
+        const { token, info, history } = details;
+        const rows = [
+            ['Balance', token.total],
+            ['Available', token.available],
+            ['Transferable', token.transferable]
+        ];
+        if (info) {
+            rows.push(
+                ['Max supply', info.maxSupply || 'Unknown'],
+                ['Minted', info.minted || 'Unknown'],
+                ['Mint limit', info.mintLimit || 'None'],
+                ['Decimals', String(info.decimals)]
+            );
+            if (info.deployer) rows.push(['Deployer', info.deployer]);
+            if (info.deployInscription) rows.push(['Deploy inscription', info.deployInscription]);
+            if (info.deployTime) rows.push(['Deployed', new Date(info.deployTime * 1000).toLocaleString()]);
+            else if (info.deployHeight) rows.push(['Deployed at block', String(info.deployHeight)]);
+        } else {
+            rows.push(['Deploy', 'Not known to the indexer']);
+        }
+
+        rows.forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            summary.append(dt, dd);
+        });
+
+        historyList.innerHTML = '';
+        if (history.length === 0) {
+            historyList.innerHTML = '<div class="loading-message">No mint or transfer inscriptions yet</div>';
+            return;
+        }
+
+        history.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'token-history-item';
+
+            const heading = document.createElement('div');
+            heading.className = 'transaction-title';
+            heading.textContent = `${entry.type || 'inscription'} ${entry.amount} ${tick}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'transaction-time';
+            meta.textContent = [
+                entry.time ? new Date(entry.time * 1000).toLocaleString() : 'Pending',
+                entry.inscriptionId || entry.txid
+            ].filter(Boolean).join(' · ');
+
+            row.append(heading, meta);
+            historyList.appendChild(row);
+        });
+    }
+
+    /**
+     * Show doginal modal
+     */
+    showDoginalModal(inscription) {
+        this.selectedInscription = inscription;
+        
+        const modal = document.getElementById('doginal_modal');
+        const contentDisplay = document.getElementById('doginal_content_display');
+        const inscriptionId = document.getElementById('doginal_inscription_id');
+        const number = document.getElementById('doginal_number');
+        const sendAddress = document.getElementById('doginal_send_address');
+
+        if (contentDisplay && inscription.content.type === 'image') {
+            contentDisplay.innerHTML = `<img src="${inscription.content.data}" alt="Inscription ${inscription.id}" />`;
+        } else if (contentDisplay) {
+            contentDisplay.innerHTML = `<div class="text-content">${inscription.content.data}</div>`;
+        }
+
+        if (inscriptionId) {
+            inscriptionId.textContent = inscription.id;
+        }
+
+        if (number) {
+            number.textContent = inscription.metadata.number || 'Unknown';
+        }
+
+        if (sendAddress) {
+            sendAddress.value = '';
+        }
+
+        // An output holding several inscriptions (or spare DOGE) has to be split before sending
+        const splitSection = document.getElementById('split_doginal_section');
+        if (splitSection) {
+            const sharing = Object.values(wallet.inscriptions)
+                .filter(item => item.outpoint === inscription.outpoint).length;
+            document.getElementById('split_doginal_help').textContent = sharing > 1
+                ? `This output holds ${sharing} inscriptions, so none of them can be sent until it is split into one output each.`
+                : 'This output holds more DOGE than the inscription needs; splitting returns the spare DOGE to your balance.';
+            splitSection.style.display = wallet.canSplitOutput(inscription.outpoint) ? '' : 'none';
+        }
+
+        this.showModal('doginal_modal');
+    }
+
+    /**
+     * Show success modal
+     */
+    showSuccessModal(txid) {
+        const txidElement = document.getElementById('success_txid');
+        const explorerBtn = document.getElementById('view_explorer_button');
+
+        if (txidElement) {
+            txidElement.textContent = txid;
+        }
+
+        if (explorerBtn) {
+            explorerBtn.onclick = () => {
+                window.open(`https://dogechain.info/tx/${txid}`, '_blank');
+            };
+        }
+
+        this.showModal('success_modal');
+    }
+
+    /**
+     * Show error modal
+     */
+    showError(message) {
+        const errorMessage = document.getElementById('error_message');
+        if (errorMessage) {
+            errorMessage.textContent = message;
+        }
+        this.showModal('error_modal');
+    }
+
+    /**
+     * Show modal
+     */
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('active');
+        }
+    }
+
+    /**
+     * Hide modal
+     */
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('active');
+        }
+
+        // Stop the camera and QR animations along with the modals that use them
+        if (modalId === 'offline_signing_modal' || modalId === 'sweep_modal' || modalId === 'qr_scanner_modal') {
+            qrTransport.stopScan();
+        } else if (modalId === 'offline_transfer_modal') {
+            qrTransport.stopFrames();
+        }
+    }
+
+    /**
+     * Set button loading state
      */
     setButtonLoading(buttonId, loading) {
         const button = document.getElementById(buttonId);
@@ -1566,10 +2364,16 @@ class WalletUI {
         const addressInput = document.getElementById('modal_send_address');
         const amountInput = document.getElementById('modal_send_amount');
         const feeInput = document.getElementById('modal_send_fee');
+        const memoInput = document.getElementById('modal_send_memo');
         
         if (addressInput) addressInput.value = '';
         if (amountInput) amountInput.value = '';
-        if (feeInput) feeInput.value = '1.0';
+        if (feeInput) feeInput.value = 'normal';
+        if (memoInput) memoInput.value = '';
+
+        const strategySelect = document.getElementById('modal_coin_strategy');
+        if (strategySelect) strategySelect.value = coinSelector.defaultStrategy;
+        this.setSendMax(false);
 
         // Clear any previous error messages
         const errorElements = document.querySelectorAll('#send_modal .form-error');
@@ -1578,16 +2382,136 @@ class WalletUI {
         // Show the modal
         this.showModal('send_modal');
 
+        // Load fee presets and spendable coins for the fee preview
+        this.loadFeePreview();
+
         // Focus on the address input
         if (addressInput) {
             setTimeout(() => addressInput.focus(), 100);
         }
     }
 
+    /**
+     * Load fee estimates and spendable UTXOs used by the send fee preview
+     */
+    async loadFeePreview() {
+        this.feeEstimates = null;
+        this.sendPreviewUTXOs = null;
+        this.updateFeePreview();
+
+        try {
+            const [estimates, { safe }] = await Promise.all([
+                wallet.getFeeEstimates(),
+                wallet.getSafeUTXOs()
+            ]);
+            this.feeEstimates = estimates;
+            this.sendPreviewUTXOs = safe;
+
+            const feeSelect = document.getElementById('modal_send_fee');
+            if (feeSelect) {
+                Array.from(feeSelect.options).forEach(option => {
+                    const label = option.value.charAt(0).toUpperCase() + option.value.slice(1);
+                    option.textContent = `${label} (${estimates[option.value]} sat/byte)`;
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load fee preview:', error);
+        }
+
+        this.updateFeePreview();
+    }
+
+    /**
+     * Turn Max mode on or off and reflect it on the Max button
+     */
+    setSendMax(enabled) {
+        this.sendMax = enabled;
+
+        const maxButton = document.getElementById('modal_send_max_button');
+        if (maxButton) {
+            maxButton.classList.toggle('active', enabled);
+            maxButton.setAttribute('aria-pressed', String(enabled));
+        }
+    }
+
+    /**
+     * Show the selection report (fee, inputs, change, waste) for the chosen preset and strategy
+     */
+    updateFeePreview() {
+        const preview = document.getElementById('modal_fee_preview');
+        const amountInput = document.getElementById('modal_send_amount');
+        const feeSelect = document.getElementById('modal_send_fee');
+        const strategySelect = document.getElementById('modal_coin_strategy');
+        if (!preview || !amountInput || !feeSelect) return;
+
+        preview.classList.remove('error');
+
+        if (!this.feeEstimates || !this.sendPreviewUTXOs) {
+            preview.textContent = 'Estimating fee...';
+            return;
+        }
+
+        if (strategySelect) {
+            strategySelect.disabled = this.coinSelection.size > 0 || this.sendMax;
+        }
+
+        const feeRate = this.feeEstimates[feeSelect.value];
+        const amount = parseFloat(amountInput.value);
+        const source = this.feeEstimates.source === 'fallback' ? ' (fallback rate)' : '';
+
+        if (this.sendMax) {
+            this.updateMaxPreview(preview, amountInput, feeRate, source);
+            return;
+        }
+
+        if (!amount || amount <= 0) {
+            preview.textContent = `${feeRate} sat/byte${source}`;
+            return;
+        }
+
+        try {
+            const inputs = this.coinSelection.size > 0 ? [...this.coinSelection] : null;
+            const plan = wallet.planTransaction(this.sendPreviewUTXOs, Math.floor(amount * 100000000), feeRate, {
+                strategy: strategySelect ? strategySelect.value : undefined,
+                inputs
+            });
+            const inputLabel = plan.inputs.length === 1 ? 'input' : 'inputs';
+            const change = plan.change > 0 ? `${(plan.change / 100000000).toFixed(8)} DOGE` : 'none';
+            const fallback = inputs ? ' (hand-picked coins)'
+                : plan.fallbackFrom ? ' (no exact match, using largest first)' : '';
+            preview.textContent = `Fee: ${(plan.fee / 100000000).toFixed(8)} DOGE · ` +
+                `${plan.inputs.length} ${inputLabel}, ~${plan.size} bytes at ${feeRate} sat/byte${source} · ` +
+                `Change: ${change} · Waste: ${(plan.waste / 100000000).toFixed(8)} DOGE${fallback}`;
+        } catch (error) {
+            preview.classList.add('error');
+            preview.textContent = error.message;
+        }
+    }
+
+    /**
+     * Fill in the Max amount (every safe coin, or the picked ones, minus the fee) and preview it
+     */
+    updateMaxPreview(preview, amountInput, feeRate, source) {
+        try {
+            const inputs = this.coinSelection.size > 0 ? [...this.coinSelection] : null;
+            const plan = wallet.planTransaction(this.sendPreviewUTXOs, 0, feeRate, { sweep: true, inputs });
+            const inputLabel = plan.inputs.length === 1 ? 'input' : 'inputs';
+            amountInput.value = (plan.target / 100000000).toFixed(8);
+            preview.textContent = `Max: ${(plan.target / 100000000).toFixed(8)} DOGE after a ` +
+                `${(plan.fee / 100000000).toFixed(8)} DOGE fee · ` +
+                `${plan.inputs.length} ${inputLabel}, ~${plan.size} bytes at ${feeRate} sat/byte${source} · ` +
+                `Inscriptions are never spent${inputs ? ' (hand-picked coins)' : ''}`;
+        } catch (error) {
+            amountInput.value = '';
+            preview.classList.add('error');
+            preview.textContent = error.message;
+        }
+    }
+
     /**
      * Show receive modal with enhanced functionality
      */
-    showReceiveModal() {
+    async showReceiveModal() {
         if (!this.isWalletReady()) {
             // Check if wallet is just loading
             if (wallet.isLoading) {
@@ -1606,7 +2530,8 @@ class WalletUI {
             return;
         }
 
-        const address = wallet.getAddress();
+        // Hand out a fresh receive address rather than reusing the first one
+        const address = await wallet.getReceiveAddress();
         
         // Update address display
         const addressElement = document.getElementById('modal_wallet_address');
@@ -1614,8 +2539,13 @@ class WalletUI {
             addressElement.textContent = address;
         }
 
-        // Generate and display QR code
-        this.generateReceiveQRCode(address);
+        // Start with a plain address request; the QR code follows the request fields
+        this.receiveAddress = address;
+        ['receive_request_amount', 'receive_request_label', 'receive_request_message'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        this.updatePaymentRequest();
 
         // Set up copy functionality
         this.setupReceiveModalCopy(address);
@@ -1628,22 +2558,98 @@ class WalletUI {
     }
 
     /**
-     * Generate QR code for receive modal
+     * Rebuild the receive QR code and payment link from the request fields
      */
-    generateReceiveQRCode(address) {
-        const qrContainer = document.getElementById('modal_qr_code');
+    updatePaymentRequest() {
+        const address = this.receiveAddress;
+        const uriElement = document.getElementById('modal_payment_uri');
+        const errorElement = document.getElementById('receive-request-error');
+        if (!address) return;
+
+        const value = id => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        const amount = value('receive_request_amount');
+        const label = value('receive_request_label');
+        const message = value('receive_request_message');
+
+        try {
+            const uri = wallet.createPaymentURI(address, {
+                amount: amount ? parseFloat(amount) : null,
+                label: label || null,
+                message: message || null
+            });
+            if (errorElement) errorElement.textContent = '';
+            if (uriElement) uriElement.textContent = uri;
+
+            // A bare address scans in the most wallets when nothing else is requested
+            this.generateReceiveQRCode(amount || label || message ? uri : address);
+        } catch (error) {
+            if (errorElement) errorElement.textContent = error.message;
+        }
+    }
+
+    /**
+     * Fill the send form from a dogecoin: payment link or bare address
+     */
+    applyPaymentURI(text) {
+        const addressInput = document.getElementById('modal_send_address');
+        const amountInput = document.getElementById('modal_send_amount');
+        const memoInput = document.getElementById('modal_send_memo');
+        const errorElement = document.getElementById('modal-address-error');
+
+        try {
+            const request = wallet.parsePaymentURI(text);
+
+            if (addressInput) addressInput.value = request.address;
+            this.checkAddressInput('modal_send_address', 'modal_send_address_warning');
+            if (amountInput && request.amount) {
+                this.setSendMax(false);
+                amountInput.value = request.amount;
+            }
+            if (memoInput && (request.message || request.label)) {
+                memoInput.value = [request.label, request.message].filter(Boolean).join(': ');
+            }
+            if (errorElement) errorElement.textContent = '';
+
+            this.updateFeePreview();
+            return true;
+        } catch (error) {
+            if (errorElement) errorElement.textContent = error.message;
+            return false;
+        }
+    }
+
+    /**
+     * Open the send form for a payment link, e.g. one passed to the registered protocol handler
+     */
+    openPaymentURI(text) {
+        this.showSendModal();
+        if (document.getElementById('send_modal').classList.contains('active')) {
+            this.applyPaymentURI(text);
+        }
+    }
+
+    /**
+     * Generate QR code for receive modal
+     */
+    generateReceiveQRCode(text) {
+        const qrContainer = document.getElementById('modal_qr_code');
         const qrFallback = document.getElementById('modal_qr_fallback');
         
         if (!qrContainer) return;
 
         try {
-            const qrCode = createQRCode(address);
+            const qrCode = createQRCode(text);
             const canvas = document.createElement('canvas');
             renderQRToCanvas(qrCode, canvas, 200);
             
             qrContainer.innerHTML = '';
             qrContainer.appendChild(canvas);
-            qrContainer.setAttribute('aria-label', `QR code containing wallet address: ${address}`);
+            qrContainer.setAttribute('aria-label', wallet.isPaymentURI(text)
+                ? `QR code containing payment link: ${text}`
+                : `QR code containing wallet address: ${text}`);
             
             if (qrFallback) {
                 qrFallback.style.display = 'none';
@@ -1774,6 +2780,14 @@ class WalletUI {
         const showSeedBtn = document.getElementById('main_show_seed_button');
         const showPrivateKeyBtn = document.getElementById('main_show_private_key_button');
         const logoutBtn = document.getElementById('main_logout_button');
+        const coinControlBtn = document.getElementById('main_coin_control_button');
+
+        if (coinControlBtn) {
+            coinControlBtn.addEventListener('click', () => {
+                this.hideModal('settings_modal');
+                this.showCoinControl();
+            });
+        }
 
         if (showSeedBtn) {
             showSeedBtn.addEventListener('click', () => this.requestSeedPhrase());
@@ -1787,11 +2801,52 @@ class WalletUI {
             logoutBtn.addEventListener('click', () => this.handleLogout());
         }
 
+        const paymentLinksBtn = document.getElementById('main_payment_links_button');
+        if (paymentLinksBtn) {
+            paymentLinksBtn.style.display = navigator.registerProtocolHandler ? '' : 'none';
+            paymentLinksBtn.addEventListener('click', () => this.handleRegisterPaymentLinks());
+        }
+
+        const saveFeeRateBtn = document.getElementById('save_fallback_fee_rate_button');
+        if (saveFeeRateBtn) {
+            saveFeeRateBtn.addEventListener('click', () => this.handleSaveFallbackFeeRate());
+        }
+
         // Authentication modal
         this.setupAuthModal();
         this.setupSensitiveDataModal();
     }
 
+    /**
+     * Ask the browser to open dogecoin: links in this wallet
+     */
+    handleRegisterPaymentLinks() {
+        try {
+            app.registerPaymentHandler();
+            this.announceToScreenReader('Asked the browser to open dogecoin: links in this wallet');
+        } catch (error) {
+            console.error('Failed to register payment link handler:', error);
+            this.showErrorModal('Failed to register for payment links: ' + error.message);
+        }
+    }
+
+    /**
+     * Save the fee rate used when fee estimates are unavailable
+     */
+    async handleSaveFallbackFeeRate() {
+        const input = document.getElementById('fallback_fee_rate_input');
+        const errorElement = document.getElementById('fallback-fee-rate-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            await wallet.setFallbackFeeRate(input ? input.value : '');
+            this.announceToScreenReader(`Fallback fee rate set to ${walletAPI.fallbackFeeRate} sat/byte`);
+        } catch (error) {
+            console.error('Failed to save fallback fee rate:', error);
+            if (errorElement) errorElement.textContent = error.message;
+        }
+    }
+
     /**
      * Set up authentication modal
      */
@@ -1872,6 +2927,20 @@ class WalletUI {
             return;
         }
 
+        // A watch-only wallet has no seed or key to show or sign with
+        ['main_show_seed_button', 'main_show_private_key_button', 'main_sign_message_button'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = wallet.isWatchOnly() ? 'none' : '';
+        });
+
+        const feeRateInput = document.getElementById('fallback_fee_rate_input');
+        if (feeRateInput) {
+            feeRateInput.min = walletAPI.minFeeRate;
+            feeRateInput.value = walletAPI.fallbackFeeRate;
+        }
+        const feeRateError = document.getElementById('fallback-fee-rate-error');
+        if (feeRateError) feeRateError.textContent = '';
+
         this.showModal('settings_modal');
     }
 
@@ -1904,6 +2973,13 @@ class WalletUI {
      * Check if wallet is ready for operations
      */
     isWalletReady() {
+        return !!(wallet && (wallet.credentials || wallet.isWatchOnly()) && !wallet.isLocked);
+    }
+
+    /**
+     * Check if the wallet holds unlocked keys (watch-only wallets never do)
+     */
+    canSign() {
         return !!(wallet && wallet.credentials && !wallet.isLocked);
     }
 
@@ -2012,8 +3088,11 @@ class WalletUI {
      * Handle logout
      */
     async handleLogout() {
+        const activeWallet = wallet.getActiveWallet();
+        const walletName = activeWallet ? `"${activeWallet.name}"` : 'this wallet';
         const confirmLogout = confirm(
-            'Are you sure you want to logout?\n\n' +
+            `Are you sure you want to logout of ${walletName}?\n\n` +
+            'Other wallets on this device are kept.\n\n' +
             '⚠️ WARNING: Make sure you have your seed phrase or private key saved securely. ' +
             'Without it, you will lose access to your wallet permanently!\n\n' +
             'This action cannot be undone.'
@@ -2024,7 +3103,7 @@ class WalletUI {
         try {
             await wallet.logout();
             this.hideModal('settings_modal');
-            // Reload the page to return to setup screen
+            // Reload the page to return to setup or the next wallet's lock screen
             window.location.reload();
         } catch (error) {
             console.error('Logout error:', error);
@@ -2079,11 +3158,16 @@ class WalletUI {
 
     /**
      * Show password setup screen
+     * With legacy set, the password secures an existing wallet instead of a new one
      */
-    showPasswordSetup() {
+    showPasswordSetup({ legacy = false } = {}) {
         this.currentScreen = 'password_setup_screen';
+        this.securingLegacyWallet = legacy;
         this.hideAllScreens();
         document.getElementById('password_setup_screen').classList.add('active');
+
+        const legacyNotice = document.getElementById('legacy_password_notice');
+        if (legacyNotice) legacyNotice.style.display = legacy ? '' : 'none';
         
         // Reset password inputs
         const passwordInput = document.getElementById('wallet_password_input');
@@ -2247,12 +3331,20 @@ class WalletUI {
             if (!validation.isValid) {
                 throw new Error('Password does not meet security requirements');
             }
+
+            if (this.securingLegacyWallet) {
+                await wallet.secureLegacyWallet(password);
+                this.securingLegacyWallet = false;
+                this.showWalletScreen();
+                await this.handleRefresh();
+                return;
+            }
             
             // Store the password
             await wallet.storePassword(password);
             
-            // Complete wallet creation
-            await this.completeWalletCreation();
+            // Complete wallet creation, encrypting the keys with the password
+            await this.completeWalletCreation(password);
             
         } catch (error) {
             console.error('Failed to setup password:', error);
@@ -2265,14 +3357,18 @@ class WalletUI {
     /**
      * Complete wallet creation after password setup
      */
-    async completeWalletCreation() {
+    async completeWalletCreation(password) {
         try {
             if (!this.pendingCredentials) {
                 throw new Error('No credentials available for wallet creation');
             }
 
-            await wallet.storeCredentials(this.pendingCredentials);
+            await wallet.storeCredentials(this.pendingCredentials, password, this.pendingWalletName);
             this.pendingCredentials = null;
+            this.pendingWalletName = null;
+
+            const cancelButton = document.getElementById('cancel_add_wallet_button');
+            if (cancelButton) cancelButton.style.display = 'none';
             
             this.showWalletScreen();
             await this.handleRefresh();
@@ -2298,11 +3394,11 @@ class WalletUI {
             }
 
             // Validate seed phrase
-            const credentials = wallet.createCredentialsFromMnemonic(seedText);
+            const credentials = await wallet.createCredentialsFromMnemonic(seedText);
             this.pendingCredentials = credentials;
             
             // Show password setup
-            this.showPasswordSetup();
+            await this.continueWithPassword();
             
         } catch (error) {
             console.error('Failed to validate seed:', error);
@@ -2331,7 +3427,7 @@ class WalletUI {
             this.pendingCredentials = credentials;
             
             // Show password setup
-            this.showPasswordSetup();
+            await this.continueWithPassword();
             
         } catch (error) {
             console.error('Failed to validate private key:', error);
@@ -2360,7 +3456,12 @@ class WalletUI {
             
             if (isValid) {
                 this.hideModal('auth_modal');
-                this.showSensitiveData();
+                if (this.currentSensitiveAction === 'add_wallet') {
+                    this.currentSensitiveAction = null;
+                    await this.completeWalletCreation(password);
+                } else {
+                    this.showSensitiveData();
+                }
             } else {
                 this.showErrorModal('Incorrect password. Please try again.');
                 if (passwordInput) {
@@ -2523,24 +3624,1869 @@ class WalletUI {
     }
 
     /**
-     * Setup activity tracking for auto-lock
+     * Set up the batch send modal
      */
-    setupActivityTracking() {
-        const events = ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart'];
-        
-        events.forEach(event => {
-            document.addEventListener(event, () => {
-                if (wallet && wallet.credentials && !wallet.isWalletLocked()) {
-                    wallet.updateActivity();
+    setupBatchSend() {
+        const openButton = document.getElementById('open_batch_send_button');
+        const fileInput = document.getElementById('batch_csv_file');
+        const reviewButton = document.getElementById('review_batch_button');
+        const editButton = document.getElementById('edit_batch_button');
+        const confirmButton = document.getElementById('confirm_batch_button');
+
+        if (openButton) {
+            openButton.addEventListener('click', () => this.showBatchSendModal());
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.importBatchCSV(fileInput));
+        }
+
+        if (reviewButton) {
+            reviewButton.addEventListener('click', () => this.handleReviewBatch());
+        }
+
+        if (editButton) {
+            editButton.addEventListener('click', () => this.showBatchStep('edit'));
+        }
+
+        if (confirmButton) {
+            confirmButton.addEventListener('click', () => this.handleConfirmBatch());
+        }
+    }
+
+    /**
+     * Show the batch send modal
+     */
+    showBatchSendModal() {
+        if (!this.isWalletReady()) {
+            this.showErrorModal('Wallet is locked. Please unlock it first.');
+            return;
+        }
+
+        this.pendingBatch = null;
+        const errorElement = document.getElementById('batch-recipients-error');
+        if (errorElement) errorElement.textContent = '';
+
+        this.hideModal('send_modal');
+        this.showBatchStep('edit');
+        this.showModal('batch_send_modal');
+    }
+
+    /**
+     * Switch between editing recipients and the review summary
+     */
+    showBatchStep(step) {
+        const editStep = document.getElementById('batch_edit_step');
+        const reviewStep = document.getElementById('batch_review_step');
+        if (editStep) editStep.style.display = step === 'edit' ? '' : 'none';
+        if (reviewStep) reviewStep.style.display = step === 'review' ? '' : 'none';
+    }
+
+    /**
+     * Parse "address,amount" lines (comma, semicolon or tab separated)
+     */
+    parseRecipientsCSV(text) {
+        const recipients = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const [address, amount] = trimmed.split(/[,;\t]/).map(field => field.trim());
+
+            // Allow a header row such as "address,amount"
+            if (recipients.length === 0 && errors.length === 0 && amount !== undefined && !/\d/.test(amount)) return;
+
+            if (!address || amount === undefined) {
+                errors.push(`Line ${index + 1}: expected "address,amount"`);
+                return;
+            }
+
+            // Plain decimals only; parseFloat would accept "12abc" or "1e3"
+            if (!/^(\d+(\.\d{0,8})?|\.\d{1,8})$/.test(amount)) {
+                errors.push(`Line ${index + 1}: invalid amount "${amount}"; use a decimal DOGE amount with at most 8 decimal places`);
+                return;
+            }
+
+            recipients.push({ address, amount: Number(amount) });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Load recipients from a CSV file into the batch textarea
+     */
+    async importBatchCSV(fileInput) {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const textarea = document.getElementById('batch_recipients_input');
+            if (textarea) textarea.value = await file.text();
+        } catch (error) {
+            console.error('Failed to read CSV file:', error);
+            this.showErrorModal('Failed to read CSV file: ' + error.message);
+        } finally {
+            fileInput.value = '';
+        }
+    }
+
+    /**
+     * Validate the batch and show its summary before anything is signed
+     */
+    async handleReviewBatch() {
+        const textarea = document.getElementById('batch_recipients_input');
+        const feeSelect = document.getElementById('batch_send_fee');
+        const errorElement = document.getElementById('batch-recipients-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            this.setButtonLoading('review_batch_button', true);
+
+            const recipients = this.parseRecipientsCSV(textarea ? textarea.value : '');
+            const options = { feePreset: feeSelect ? feeSelect.value : 'normal' };
+            const prepared = await wallet.prepareSendMany(recipients, options);
+
+            // Pin the reviewed rate so the broadcast matches the summary
+            this.pendingBatch = { recipients, options: { ...options, feeRate: prepared.feeRate } };
+            this.renderBatchSummary(prepared);
+            this.showBatchStep('review');
+        } catch (error) {
+            console.error('Failed to review batch:', error);
+            if (errorElement) errorElement.textContent = error.message;
+        } finally {
+            this.setButtonLoading('review_batch_button', false);
+        }
+    }
+
+    /**
+     * Render recipients, totals and the fee of a prepared batch
+     */
+    renderBatchSummary({ outputs, totalSatoshis, feeRate, plan }) {
+        const summary = document.getElementById('batch_summary');
+        if (!summary) return;
+
+        const toDoge = satoshis => `${(satoshis / 100000000).toFixed(8)} DOGE`;
+        summary.innerHTML = '';
+
+        const table = document.createElement('table');
+        outputs.forEach(output => {
+            const row = table.insertRow();
+            row.insertCell().textContent = output.address;
+            row.insertCell().textContent = toDoge(output.satoshis);
+        });
+
+        const totals = document.createElement('dl');
+        [
+            ['Recipients', String(outputs.length)],
+            ['Total sent', toDoge(totalSatoshis)],
+            ['Network fee', `${toDoge(plan.fee)} (${feeRate} sat/byte, ~${plan.size} bytes)`],
+            ['Inputs', String(plan.inputs.length)],
+            ['Change', plan.change > 0 ? toDoge(plan.change) : 'none'],
+            ['Total cost', toDoge(totalSatoshis + plan.fee)]
+        ].forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = term;
+            dd.textContent = value;
+            totals.append(dt, dd);
+        });
+
+        summary.append(table, totals);
+    }
+
+    /**
+     * Sign and broadcast the reviewed batch
+     */
+    async handleConfirmBatch() {
+        if (!this.pendingBatch) return;
+
+        try {
+            this.setButtonLoading('confirm_batch_button', true);
+
+            const { recipients, options } = this.pendingBatch;
+            const txid = await wallet.sendMany(recipients, options);
+
+            this.pendingBatch = null;
+            const textarea = document.getElementById('batch_recipients_input');
+            if (textarea) textarea.value = '';
+
+            this.hideModal('batch_send_modal');
+            this.showSuccessModal(txid);
+
+            setTimeout(() => this.handleRefresh(), 1000);
+        } catch (error) {
+            console.error('Failed to send batch:', error);
+            if (error instanceof WalletLockedError) {
+                this.hideModal('batch_send_modal');
+                this.handleWalletLock();
+                return;
+            }
+            this.showErrorModal('Failed to send batch: ' + error.message);
+        } finally {
+            this.setButtonLoading('confirm_batch_button', false);
+        }
+    }
+
+    /**
+     * Set up the transaction review screen
+     */
+    setupTransactionReview() {
+        const backButton = document.getElementById('tx_review_back_button');
+        const confirmButton = document.getElementById('confirm_tx_button');
+        const exportButton = document.getElementById('export_unsigned_button');
+
+        if (backButton) {
+            backButton.addEventListener('click', () => this.cancelTransactionReview());
+        }
+
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.handleExportUnsigned());
+        }
+
+        if (confirmButton) {
+            confirmButton.addEventListener('click', () => this.handleConfirmTransaction());
+        }
+    }
+
+    /**
+     * Show a draft for confirmation
+     * returnTo names the modal Back returns to; onSent runs once the draft is broadcast;
+     * action 'sign' signs for export (offline signing) instead of broadcasting
+     */
+    showTransactionReview(draft, { returnTo = null, onSent = null, action = 'broadcast' } = {}) {
+        this.pendingDraft = { draft, returnTo, onSent, action };
+        this.renderTransactionReview(draft);
+
+        const help = document.getElementById('tx_review_help');
+        // A watch-only wallet can only hand an unsigned draft to an external signer
+        const exportOnly = action === 'broadcast' && !draft.signed && !draft.externalKeys && wallet.isWatchOnly();
+
+        if (help) {
+            if (draft.signed) {
+                help.textContent = 'This transaction was signed offline. Check every input and output before you broadcast it.';
+            } else if (exportOnly) {
+                help.textContent = 'This is a watch-only wallet. Check every input and output, then export the transaction to the device that holds the keys.';
+            } else {
+                help.textContent = 'Nothing has been signed yet. Check every input and output before you confirm.';
+            }
+        }
+
+        const confirmButton = document.getElementById('confirm_tx_button');
+        if (confirmButton) {
+            confirmButton.style.display = exportOnly ? 'none' : '';
+        }
+
+        const confirmText = document.querySelector('#confirm_tx_button .btn-text');
+        if (confirmText) {
+            confirmText.textContent = action === 'sign' ? 'Sign for Export' : 'Confirm & Send';
+        }
+
+        // Only an unsigned draft headed for broadcast can go to an offline signer instead;
+        // a sweep is signed here with the swept key, an inscription together with its reveal chain
+        const exportButton = document.getElementById('export_unsigned_button');
+        if (exportButton) {
+            exportButton.style.display = action === 'broadcast' && !draft.signed && !draft.externalKeys && !draft.inscription ? '' : 'none';
+        }
+
+        this.showModal('tx_review_modal');
+    }
+
+    /**
+     * Render each input and output of a draft with its fee, rate and size
+     */
+    renderTransactionReview(draft) {
+        const review = document.getElementById('tx_review');
+        if (!review) return;
+
+        const toDoge = satoshis => `${(satoshis / 100000000).toFixed(8)} DOGE`;
+        const shortId = id => `${id.slice(0, 8)}…${id.slice(-4)}`;
+        review.innerHTML = '';
+
+        const addSection = (title, rows) => {
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+
+            const table = document.createElement('table');
+            rows.forEach(({ label, tags, amount }) => {
+                const row = table.insertRow();
+                const labelCell = row.insertCell();
+                labelCell.textContent = label;
+                tags.forEach(tag => {
+                    const badge = document.createElement('span');
+                    badge.className = `tx-tag ${tag.type}`;
+                    badge.textContent = tag.text;
+                    labelCell.appendChild(badge);
+                });
+                row.insertCell().textContent = toDoge(amount);
+            });
+
+            review.append(heading, table);
+        };
+
+        addSection(`Inputs (${draft.inputs.length})`, draft.inputs.map(input => ({
+            label: input.outpoint,
+            tags: [
+                ...input.inscriptions.map(id => ({ type: 'inscription', text: `Inscription ${shortId(id)}` })),
+                ...(input.amountVerified === false ? [{ type: 'lookalike', text: 'Amount not verified' }] : [])
+            ],
+            amount: input.satoshis
+        })));
+
+        addSection(`Outputs (${draft.outputs.length})`, draft.outputs.map((output, index) => ({
+            label: output.address,
+            tags: [
+                ...(output.change ? [{ type: 'change', text: 'Change (this wallet)' }] : []),
+                ...(draft.inscription && index === 0 ? [{ type: 'inscription', text: 'Funds the reveal chain' }] : []),
+                ...this.getAddressBookTags(output.address),
+                ...(output.inscriptions || []).map(id => ({ type: 'inscription', text: `Inscription ${shortId(id)}` }))
+            ],
+            amount: output.satoshis
+        })));
+
+        const totals = document.createElement('dl');
+        [
+            ...(draft.parentTxid ? [['Speeds up', shortId(draft.parentTxid)]] : []),
+            ...(draft.replaces ? [['Cancels', shortId(draft.replaces)]] : []),
+            ...(draft.sweptAddress ? [['Sweeps', draft.sweptAddress]] : []),
+            ...(draft.splitOutpoint ? [['Splits', shortId(draft.splitOutpoint)]] : []),
+            ...(draft.inscription ? [
+                ['Inscribes', `${draft.inscription.contentType}, ${draft.inscription.bytes} bytes`],
+                ...(draft.inscription.drc20 ? [['DRC-20', drc20.describe(draft.inscription.drc20)]] : []),
+                ['Reveal transactions', String(draft.inscription.partials.length)],
+                ['Reveal fees', toDoge(draft.inscription.revealFee)],
+                ['Inscription output', `${toDoge(draft.inscription.outputSatoshis)} to ${draft.inscription.revealAddress}`]
+            ] : []),
+            ['Sent', toDoge(draft.totalSatoshis)],
+            [draft.totalSatoshis > 0 ? 'Change' : 'Returned to you', draft.change > 0 ? toDoge(draft.change) : 'none'],
+            ['Network fee', toDoge(draft.fee)],
+            ['Fee rate', `${draft.feeRate} sat/byte`],
+            ['Size', `~${draft.size} bytes`],
+            ['Total cost', toDoge(draft.totalSatoshis + draft.fee)]
+        ].forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = term;
+            dd.textContent = value;
+            totals.append(dt, dd);
+        });
+
+        review.appendChild(totals);
+    }
+
+    /**
+     * Drop the draft unsigned and go back to the form it came from
+     */
+    cancelTransactionReview() {
+        const returnTo = this.pendingDraft ? this.pendingDraft.returnTo : null;
+        this.pendingDraft = null;
+        this.hideModal('tx_review_modal');
+
+        if (returnTo) {
+            this.showModal(returnTo);
+        }
+    }
+
+    /**
+     * Sign and broadcast the reviewed draft
+     */
+    async handleConfirmTransaction() {
+        if (!this.pendingDraft) return;
+
+        try {
+            this.setButtonLoading('confirm_tx_button', true);
+
+            const { draft, onSent, action } = this.pendingDraft;
+
+            if (action === 'sign') {
+                wallet.signDraft(draft);
+                this.pendingDraft = null;
+                this.hideModal('tx_review_modal');
+                this.showOfflineTransfer(
+                    'Signed Transaction',
+                    'Move this back to the online device and use "Broadcast a signed transaction".',
+                    JSON.stringify(wallet.exportSignedTransaction(draft)),
+                    `woof-signed-${draft.txid.slice(0, 8)}.json`
+                );
+                return;
+            }
+
+            if (draft.type === 'inscription') {
+                await this.handleConfirmInscription(draft);
+                return;
+            }
+
+            const txid = await wallet.broadcastDraft(draft);
+
+            this.pendingDraft = null;
+            if (onSent) onSent();
+            this.markContactsUsed(draft);
+            this.renderPendingTransactions();
+
+            this.hideModal('tx_review_modal');
+            this.showSuccessModal(txid);
+
+            // Refresh wallet data after successful send
+            setTimeout(() => this.handleRefresh(), 1000);
+        } catch (error) {
+            console.error('Failed to broadcast transaction:', error);
+            if (error instanceof WalletLockedError) {
+                this.hideModal('tx_review_modal');
+                this.handleWalletLock();
+                return;
+            }
+            this.showErrorModal('Failed to send transaction: ' + error.message);
+        } finally {
+            this.setButtonLoading('confirm_tx_button', false);
+        }
+    }
+
+    /**
+     * Set up offline signing: the sign and import screens and the QR/file transfer view
+     */
+    setupOfflineSigning() {
+        const openButton = document.getElementById('main_offline_signing_button');
+        if (openButton) {
+            openButton.addEventListener('click', () => {
+                this.hideModal('settings_modal');
+                this.showOfflineSigning();
+            });
+        }
+
+        [['offline_sign_file', 'offline_sign_input'], ['offline_import_file', 'offline_import_input']]
+            .forEach(([fileId, inputId]) => {
+                const fileInput = document.getElementById(fileId);
+                if (fileInput) {
+                    fileInput.addEventListener('change', () => this.loadOfflineFile(fileInput, inputId));
                 }
-            }, true);
+            });
+
+        [['offline_sign_scan_button', 'offline_sign_input'], ['offline_import_scan_button', 'offline_import_input']]
+            .forEach(([buttonId, inputId]) => {
+                const button = document.getElementById(buttonId);
+                if (button) {
+                    button.addEventListener('click', () => this.startOfflineScan(inputId));
+                }
+            });
+
+        const stopScanButton = document.getElementById('offline_stop_scan_button');
+        const signButton = document.getElementById('offline_sign_button');
+        const importButton = document.getElementById('offline_import_button');
+        const downloadButton = document.getElementById('offline_download_button');
+
+        if (stopScanButton) {
+            stopScanButton.addEventListener('click', () => this.stopOfflineScan());
+        }
+
+        if (signButton) {
+            signButton.addEventListener('click', () => this.handleSignBundle());
+        }
+
+        if (importButton) {
+            importButton.addEventListener('click', () => this.handleImportSigned());
+        }
+
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => this.downloadOfflinePayload());
+        }
+    }
+
+    /**
+     * Show the offline signing screen
+     */
+    showOfflineSigning() {
+        ['offline_sign_input', 'offline_import_input'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
         });
+        const errorElement = document.getElementById('offline-signing-error');
+        if (errorElement) errorElement.textContent = '';
+
+        // Watch-only wallets have no keys to sign with, only signed transactions to broadcast
+        const signSection = document.getElementById('offline_sign_section');
+        if (signSection) {
+            signSection.style.display = wallet.isWatchOnly() ? 'none' : '';
+        }
+
+        this.stopOfflineScan();
+        this.showModal('offline_signing_modal');
     }
 
     /**
-     * Handle wallet lock
+     * Export the draft under review as an unsigned bundle for an offline signer
      */
-    handleWalletLock() {
+    async handleExportUnsigned() {
+        if (!this.pendingDraft) return;
+
+        try {
+            const { draft, onSent } = this.pendingDraft;
+            const bundle = await wallet.exportUnsignedBundle(draft);
+
+            // The send form's job is done once the bundle leaves
+            this.pendingDraft = null;
+            if (onSent) onSent();
+
+            this.hideModal('tx_review_modal');
+            this.showOfflineTransfer(
+                'Unsigned Transaction',
+                'Move this to the offline device and use "Sign a bundle". Nothing has been signed or sent yet.',
+                JSON.stringify(bundle),
+                `woof-unsigned-${new Date(bundle.createdAt).toISOString().slice(0, 10)}.json`
+            );
+        } catch (error) {
+            console.error('Failed to export unsigned transaction:', error);
+            this.showErrorModal('Failed to export transaction: ' + error.message);
+        }
+    }
+
+    /**
+     * Show a payload as (animated) QR codes with a file download
+     */
+    showOfflineTransfer(title, help, payload, filename) {
+        this.offlinePayload = { payload, filename };
+
+        const titleElement = document.getElementById('offline_transfer_title');
+        const helpElement = document.getElementById('offline_transfer_help');
+        const canvas = document.getElementById('offline_qr_canvas');
+        const counter = document.getElementById('offline_qr_counter');
+
+        if (titleElement) titleElement.textContent = title;
+        if (helpElement) helpElement.textContent = help;
+
+        this.showModal('offline_transfer_modal');
+        if (canvas) {
+            qrTransport.showFrames(qrTransport.encodeFrames(payload), canvas, counter);
+        }
+    }
+
+    /**
+     * Save the payload shown in the transfer view as a file
+     */
+    downloadOfflinePayload() {
+        if (!this.offlinePayload) return;
+
+        const { payload, filename } = this.offlinePayload;
+        const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Read a bundle or signed transaction file into a textarea
+     */
+    async loadOfflineFile(fileInput, inputId) {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const input = document.getElementById(inputId);
+            // Images are read as a single QR code, anything else as text
+            const text = file.type.startsWith('image/') ? await qrTransport.decodeImage(file) : await file.text();
+            if (input) input.value = text.trim();
+        } catch (error) {
+            console.error('Failed to read file:', error);
+            this.showErrorModal('Failed to read file: ' + error.message);
+        } finally {
+            fileInput.value = '';
+        }
+    }
+
+    /**
+     * Scan QR frames from the camera until the whole payload has arrived
+     */
+    async startOfflineScan(inputId) {
+        const video = document.getElementById('offline_scan_video');
+        const scanner = document.getElementById('offline_scanner');
+        const status = document.getElementById('offline_scan_status');
+        const input = document.getElementById(inputId);
+        if (!video || !input) return;
+
+        const collector = qrTransport.createCollector();
+        if (scanner) scanner.style.display = '';
+        if (status) status.textContent = 'Point the camera at the QR code';
+
+        try {
+            await qrTransport.startScan(video, text => {
+                const payload = collector.add(text);
+                if (payload === null) {
+                    const { received, total } = collector.progress();
+                    if (status) status.textContent = `Received ${received} of ${total} frames`;
+                    return false;
+                }
+
+                input.value = payload;
+                this.stopOfflineScan();
+                return true;
+            });
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            this.stopOfflineScan();
+            this.showErrorModal('Failed to start camera: ' + error.message);
+        }
+    }
+
+    /**
+     * Stop scanning and hide the camera view
+     */
+    stopOfflineScan() {
+        qrTransport.stopScan();
+        const scanner = document.getElementById('offline_scanner');
+        if (scanner) scanner.style.display = 'none';
+    }
+
+    /**
+     * Open an unsigned bundle on the offline device and review it before signing
+     */
+    handleSignBundle() {
+        const input = document.getElementById('offline_sign_input');
+        const errorElement = document.getElementById('offline-signing-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            if (!this.canSign()) {
+                throw new Error('Unlock the wallet that holds the keys first');
+            }
+
+            let bundle;
+            try {
+                bundle = JSON.parse(input ? input.value : '');
+            } catch (error) {
+                throw new Error('Not an unsigned Woof Wallet transaction bundle');
+            }
+
+            const draft = wallet.openUnsignedBundle(bundle);
+            this.hideModal('offline_signing_modal');
+            this.showTransactionReview(draft, { returnTo: 'offline_signing_modal', action: 'sign' });
+        } catch (error) {
+            console.error('Failed to open bundle:', error);
+            if (errorElement) errorElement.textContent = error.message;
+        }
+    }
+
+    /**
+     * Validate a transaction signed offline and review it before broadcast
+     */
+    async handleImportSigned() {
+        const input = document.getElementById('offline_import_input');
+        const errorElement = document.getElementById('offline-signing-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            const draft = await wallet.openSignedTransaction(input ? input.value : '');
+            this.hideModal('offline_signing_modal');
+            this.showTransactionReview(draft, { returnTo: 'offline_signing_modal' });
+        } catch (error) {
+            console.error('Failed to import signed transaction:', error);
+            if (errorElement) errorElement.textContent = error.message;
+        }
+    }
+
+    /**
+     * Set up the QR scanner behind the send, doginal and private key fields
+     */
+    setupQRScanner() {
+        [
+            ['modal_send_scan_button', 'modal_send_address', 'payment'],
+            ['doginal_send_scan_button', 'doginal_send_address', 'address'],
+            ['import_key_scan_button', 'private_key_textarea', 'wif']
+        ].forEach(([buttonId, targetId, kind]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', () => this.showQRScanner(targetId, kind));
+            }
+        });
+
+        const fileInput = document.getElementById('qr_scanner_file');
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                try {
+                    this.handleScannedText(await qrTransport.decodeImage(file));
+                } catch (error) {
+                    const errorElement = document.getElementById('qr-scanner-error');
+                    if (errorElement) errorElement.textContent = error.message;
+                }
+            });
+        }
+    }
+
+    /**
+     * Scan a QR code into a field; kind is 'payment' (address or dogecoin: link), 'address' or 'wif'
+     */
+    async showQRScanner(targetId, kind) {
+        this.qrScanTarget = { targetId, kind };
+
+        const title = document.getElementById('qr_scanner_title');
+        const status = document.getElementById('qr_scanner_status');
+        const errorElement = document.getElementById('qr-scanner-error');
+        const video = document.getElementById('qr_scanner_video');
+
+        if (title) title.textContent = kind === 'wif' ? 'Scan Private Key' : 'Scan Address';
+        if (status) status.textContent = 'Point the camera at the QR code';
+        if (errorElement) errorElement.textContent = '';
+
+        this.showModal('qr_scanner_modal');
+
+        try {
+            await qrTransport.startScan(video, text => this.handleScannedText(text));
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            if (status) status.textContent = `Camera unavailable (${error.message}). Load an image of the code instead.`;
+        }
+    }
+
+    /**
+     * Validate scanned text for the field being scanned into; returns true once it is accepted
+     */
+    handleScannedText(text) {
+        const target = this.qrScanTarget;
+        const errorElement = document.getElementById('qr-scanner-error');
+        if (!target) return true;
+
+        const input = document.getElementById(target.targetId);
+
+        try {
+            if (target.kind === 'wif') {
+                if (!wallet.isValidPrivateKey(text)) {
+                    throw new Error('That QR code is not a Dogecoin private key');
+                }
+                input.value = text.trim();
+            } else if (target.kind === 'payment') {
+                if (!this.applyPaymentURI(text)) {
+                    throw new Error('That QR code is not a Dogecoin address or payment link');
+                }
+            } else {
+                input.value = wallet.parsePaymentURI(text).address;
+                this.checkAddressInput(target.targetId, `${target.targetId}_warning`);
+            }
+        } catch (error) {
+            // Keep scanning; the next frame may hold the right code
+            if (errorElement) errorElement.textContent = error.message;
+            return false;
+        }
+
+        this.qrScanTarget = null;
+        this.hideModal('qr_scanner_modal');
+        return true;
+    }
+
+    /**
+     * Set up the paper wallet sweep
+     */
+    setupSweep() {
+        const openButton = document.getElementById('main_sweep_button');
+        const scanButton = document.getElementById('sweep_scan_button');
+        const stopScanButton = document.getElementById('sweep_stop_scan_button');
+        const reviewButton = document.getElementById('sweep_review_button');
+
+        if (openButton) {
+            openButton.addEventListener('click', () => {
+                this.hideModal('settings_modal');
+                this.showSweepModal();
+            });
+        }
+
+        if (scanButton) {
+            scanButton.addEventListener('click', () => this.startSweepScan());
+        }
+
+        if (stopScanButton) {
+            stopScanButton.addEventListener('click', () => this.stopSweepScan());
+        }
+
+        if (reviewButton) {
+            reviewButton.addEventListener('click', () => this.handleSweep());
+        }
+    }
+
+    /**
+     * Show the sweep screen with an empty key field
+     */
+    showSweepModal() {
+        const input = document.getElementById('sweep_wif_input');
+        if (input) input.value = '';
+        const errorElement = document.getElementById('sweep-error');
+        if (errorElement) errorElement.textContent = '';
+
+        this.stopSweepScan();
+        this.showModal('sweep_modal');
+    }
+
+    /**
+     * Scan a private key QR code into the sweep field
+     */
+    async startSweepScan() {
+        const video = document.getElementById('sweep_scan_video');
+        const scanner = document.getElementById('sweep_scanner');
+        const input = document.getElementById('sweep_wif_input');
+        if (!video || !input) return;
+
+        if (scanner) scanner.style.display = '';
+
+        try {
+            await qrTransport.startScan(video, text => {
+                input.value = text.trim();
+                this.stopSweepScan();
+                return true;
+            });
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            this.stopSweepScan();
+            this.showErrorModal('Failed to start camera: ' + error.message);
+        }
+    }
+
+    /**
+     * Stop the sweep camera
+     */
+    stopSweepScan() {
+        qrTransport.stopScan();
+        const scanner = document.getElementById('sweep_scanner');
+        if (scanner) scanner.style.display = 'none';
+    }
+
+    /**
+     * Draft the sweep of the entered key and review it
+     */
+    async handleSweep() {
+        const input = document.getElementById('sweep_wif_input');
+        const errorElement = document.getElementById('sweep-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            this.setButtonLoading('sweep_review_button', true);
+
+            if (!input || !input.value.trim()) {
+                throw new Error('Enter the private key to sweep');
+            }
+
+            const feeRate = await wallet.getFeeRate('normal');
+            const draft = await wallet.createSweepDraft(input.value, feeRate);
+
+            input.value = '';
+            this.hideModal('sweep_modal');
+            this.showTransactionReview(draft, { returnTo: 'sweep_modal' });
+        } catch (error) {
+            console.error('Failed to sweep key:', error);
+            if (errorElement) errorElement.textContent = error.message;
+        } finally {
+            this.setButtonLoading('sweep_review_button', false);
+        }
+    }
+
+    /**
+     * Set up the address book modal and the saved-address checks on the recipient fields
+     */
+    setupAddressBook() {
+        const openButton = document.getElementById('main_address_book_button');
+        const saveButton = document.getElementById('address_book_save_button');
+        const cancelButton = document.getElementById('address_book_cancel_button');
+        const fileInput = document.getElementById('address_book_csv_file');
+        const exportButton = document.getElementById('address_book_export_button');
+
+        if (openButton) {
+            openButton.addEventListener('click', () => {
+                this.hideModal('settings_modal');
+                this.showAddressBook();
+            });
+        }
+
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.handleSaveContact());
+        }
+
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.resetContactForm());
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.importAddressBookCSV(fileInput));
+        }
+
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportAddressBookCSV());
+        }
+
+        // Runs after the payment link handler, so it sees the address a link was replaced with
+        ['modal_send_address', 'doginal_send_address'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.checkAddressInput(id, `${id}_warning`));
+            }
+        });
+    }
+
+    /**
+     * Name the saved contact behind a recipient, or warn when it only resembles one
+     * Clipboard hijackers swap a copied address for one that starts and ends alike
+     */
+    checkAddressInput(inputId, warningId) {
+        const input = document.getElementById(inputId);
+        const warning = document.getElementById(warningId);
+        if (!input || !warning) return;
+
+        const address = input.value.trim();
+        const contact = addressBook.findByAddress(address);
+        const lookalike = addressBook.findLookalike(address);
+
+        warning.className = 'address-warning';
+        if (contact) {
+            warning.textContent = `Saved as "${contact.label}"`;
+            warning.classList.add('known');
+        } else if (lookalike) {
+            warning.textContent = `This is NOT the address saved as "${lookalike.label}" (${lookalike.address}), ` +
+                'though it looks similar. Check every character; malware can replace copied addresses.';
+            warning.classList.add('lookalike');
+        } else {
+            warning.textContent = '';
+        }
+    }
+
+    /**
+     * Review tags naming the saved contact of an output address, or flagging a lookalike
+     */
+    getAddressBookTags(address) {
+        const contact = addressBook.findByAddress(address);
+        if (contact) {
+            return [{ type: 'contact', text: contact.label }];
+        }
+        const lookalike = addressBook.findLookalike(address);
+        return lookalike ? [{ type: 'lookalike', text: `Resembles "${lookalike.label}"` }] : [];
+    }
+
+    /**
+     * Record a send to any saved contacts among a draft's outputs
+     */
+    async markContactsUsed(draft) {
+        try {
+            await addressBook.markUsed(draft.outputs.map(output => output.address));
+            this.refreshAddressBookList();
+        } catch (error) {
+            // The send itself succeeded; a stale "last used" is not worth an error dialog
+            console.warn('Failed to update address book after send:', error);
+        }
+    }
+
+    /**
+     * Offer saved contacts as suggestions in the recipient fields
+     */
+    refreshAddressBookList() {
+        const list = document.getElementById('address_book_list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        addressBook.getContacts().forEach(contact => {
+            const option = document.createElement('option');
+            option.value = contact.address;
+            option.label = contact.label;
+            option.textContent = contact.label;
+            list.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the address book
+     */
+    showAddressBook() {
+        this.resetContactForm();
+        this.renderAddressBook();
+        this.showModal('address_book_modal');
+    }
+
+    /**
+     * List the saved contacts with edit and delete actions
+     */
+    renderAddressBook() {
+        const list = document.getElementById('address_book_entries');
+        if (!list) return;
+
+        const contacts = addressBook.getContacts();
+        list.innerHTML = '';
+        if (contacts.length === 0) {
+            list.textContent = 'No saved addresses';
+        }
+
+        contacts.forEach(contact => {
+            const item = document.createElement('div');
+            item.className = 'address-book-item';
+            item.setAttribute('role', 'listitem');
+
+            const details = document.createElement('div');
+            const label = document.createElement('div');
+            label.className = 'address-book-label';
+            label.textContent = contact.label;
+            const address = document.createElement('div');
+            address.className = 'address-book-address';
+            address.textContent = contact.address;
+            details.append(label, address);
+
+            if (contact.notes) {
+                const notes = document.createElement('div');
+                notes.className = 'address-book-meta';
+                notes.textContent = contact.notes;
+                details.appendChild(notes);
+            }
+            const used = document.createElement('div');
+            used.className = 'address-book-meta';
+            used.textContent = contact.lastUsed
+                ? `Last used ${new Date(contact.lastUsed).toLocaleDateString()}`
+                : 'Never used';
+            details.appendChild(used);
+
+            const editButton = document.createElement('button');
+            editButton.className = 'secondary-button';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => this.editContact(contact));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'secondary-button';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', async () => {
+                if (!confirm(`Delete "${contact.label}" from the address book?`)) return;
+                try {
+                    await addressBook.removeContact(contact.address);
+                    this.refreshAddressBookList();
+                    this.renderAddressBook();
+                } catch (error) {
+                    this.showErrorModal('Failed to delete address: ' + error.message);
+                }
+            });
+
+            item.append(details, editButton, deleteButton);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Load a contact into the form for editing
+     */
+    editContact(contact) {
+        document.getElementById('address_book_form_title').textContent = 'Edit Address';
+        document.getElementById('address_book_label').value = contact.label;
+        document.getElementById('address_book_notes').value = contact.notes || '';
+
+        // The address is what the label vouches for; changing it means saving a new contact
+        const addressInput = document.getElementById('address_book_address');
+        addressInput.value = contact.address;
+        addressInput.readOnly = true;
+        document.getElementById('address-book-error').textContent = '';
+    }
+
+    /**
+     * Clear the contact form back to adding a new address
+     */
+    resetContactForm() {
+        document.getElementById('address_book_form_title').textContent = 'Add Address';
+        ['address_book_label', 'address_book_address', 'address_book_notes'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('address_book_address').readOnly = false;
+        document.getElementById('address-book-error').textContent = '';
+    }
+
+    /**
+     * Save the contact in the form
+     */
+    async handleSaveContact() {
+        const errorElement = document.getElementById('address-book-error');
+        const address = document.getElementById('address_book_address').value.trim();
+
+        try {
+            if (wallet.isOwnAddress(address)) {
+                throw new Error('This address belongs to this wallet');
+            }
+
+            await addressBook.saveContact({
+                label: document.getElementById('address_book_label').value,
+                address,
+                notes: document.getElementById('address_book_notes').value
+            });
+
+            this.resetContactForm();
+            this.refreshAddressBookList();
+            this.renderAddressBook();
+        } catch (error) {
+            if (errorElement) errorElement.textContent = error.message;
+        }
+    }
+
+    /**
+     * Merge contacts from a CSV file into the address book
+     */
+    async importAddressBookCSV(fileInput) {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const count = await addressBook.importCSV(await file.text());
+            this.refreshAddressBookList();
+            this.renderAddressBook();
+            this.announceToScreenReader(`Imported ${count} address${count === 1 ? '' : 'es'}`);
+        } catch (error) {
+            console.error('Failed to import address book:', error);
+            this.showErrorModal('Failed to import addresses: ' + error.message);
+        } finally {
+            fileInput.value = '';
+        }
+    }
+
+    /**
+     * Download the address book as a CSV file
+     */
+    exportAddressBookCSV() {
+        const url = URL.createObjectURL(new Blob([addressBook.toCSV()], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'woof-address-book.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Set up the inscription builder
+     */
+    setupInscribe() {
+        const openButton = document.getElementById('inscribe_button');
+        const fileInput = document.getElementById('inscribe_file');
+        const textInput = document.getElementById('inscribe_text');
+        const reviewButton = document.getElementById('inscribe_review_button');
+
+        if (openButton) {
+            openButton.addEventListener('click', () => this.showInscribeModal());
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                if (file) {
+                    document.getElementById('inscribe_content_type').value = file.type || 'application/octet-stream';
+                    if (textInput) textInput.value = '';
+                }
+                this.updateInscribeSize();
+            });
+        }
+
+        // Typed text replaces a chosen file
+        if (textInput) {
+            textInput.addEventListener('input', () => {
+                if (fileInput && fileInput.value) {
+                    fileInput.value = '';
+                    document.getElementById('inscribe_content_type').value = 'text/plain;charset=utf-8';
+                }
+                this.updateInscribeSize();
+            });
+        }
+
+        if (reviewButton) {
+            reviewButton.addEventListener('click', () => this.handleReviewInscription());
+        }
+    }
+
+    /**
+     * Show the inscription builder with the progress of earlier inscriptions
+     */
+    showInscribeModal() {
+        if (!this.canSign()) {
+            this.showErrorModal(wallet.isWatchOnly()
+                ? 'A watch-only wallet cannot inscribe: the reveal transactions are signed on this device.'
+                : 'Wallet is locked. Please unlock it first.');
+            return;
+        }
+
+        const errorElement = document.getElementById('inscribe-error');
+        if (errorElement) errorElement.textContent = '';
+
+        this.updateInscribeSize();
+        this.renderInscriptionJobs();
+        this.showModal('inscribe_modal');
+    }
+
+    /**
+     * Read the chosen file, or the typed text, as bytes
+     */
+    async readInscribeContent() {
+        const fileInput = document.getElementById('inscribe_file');
+        const file = fileInput && fileInput.files && fileInput.files[0];
+        if (file) {
+            return new Uint8Array(await file.arrayBuffer());
+        }
+        return new TextEncoder().encode(document.getElementById('inscribe_text').value);
+    }
+
+    /**
+     * Show the size of the content about to be inscribed
+     */
+    async updateInscribeSize() {
+        const sizeElement = document.getElementById('inscribe_size');
+        if (!sizeElement) return;
+
+        const content = await this.readInscribeContent();
+        sizeElement.textContent = content.length > 0 ? `${content.length} bytes` : '';
+    }
+
+    /**
+     * Draft the inscription commit and open it for review
+     */
+    async handleReviewInscription() {
+        const errorElement = document.getElementById('inscribe-error');
+        if (errorElement) errorElement.textContent = '';
+
+        try {
+            this.setButtonLoading('inscribe_review_button', true);
+
+            const content = await this.readInscribeContent();
+            const contentType = document.getElementById('inscribe_content_type').value;
+            const feePreset = document.getElementById('inscribe_fee').value;
+            const draft = await wallet.createInscriptionDraft(content, contentType, { feePreset });
+
+            this.hideModal('inscribe_modal');
+            this.showTransactionReview(draft, { returnTo: 'inscribe_modal' });
+        } catch (error) {
+            console.error('Failed to draft inscription:', error);
+            if (error instanceof WalletLockedError) {
+                this.hideModal('inscribe_modal');
+                this.handleWalletLock();
+                return;
+            }
+            if (errorElement) errorElement.textContent = error.message;
+        } finally {
+            this.setButtonLoading('inscribe_review_button', false);
+        }
+    }
+
+    /**
+     * Sign and start broadcasting a reviewed inscription, then show its progress
+     */
+    async handleConfirmInscription(draft) {
+        const job = await wallet.broadcastInscription(draft);
+
+        this.pendingDraft = null;
+        this.hideModal('tx_review_modal');
+        this.renderPendingTransactions();
+
+        document.getElementById('inscribe_file').value = '';
+        document.getElementById('inscribe_text').value = '';
+        this.showInscribeModal();
+
+        if (job.status === 'failed') {
+            this.showErrorModal(`Broadcasting the inscription failed: ${job.error}. Use Retry to try again.`);
+        }
+
+        setTimeout(() => this.handleRefresh(), 1000);
+    }
+
+    /**
+     * List inscriptions being broadcast or recently finished
+     */
+    renderInscriptionJobs() {
+        const list = document.getElementById('inscription_jobs_list');
+        if (!list) return;
+
+        const jobs = wallet.getInscriptionJobs();
+        list.innerHTML = '';
+        if (jobs.length === 0) {
+            list.textContent = 'No inscriptions yet';
+            return;
+        }
+
+        const shortId = id => `${id.slice(0, 8)}…${id.slice(-4)}`;
+
+        jobs.forEach(job => {
+            const item = document.createElement('div');
+            item.className = 'inscription-job';
+            item.setAttribute('role', 'listitem');
+
+            const title = document.createElement('div');
+            title.className = 'transaction-title';
+            title.textContent = job.drc20
+                ? `DRC-20 ${drc20.describe(job.drc20)}`
+                : `${job.contentType} · ${job.bytes} bytes`;
+
+            const progress = `${job.broadcast}/${job.txs.length} transactions broadcast`;
+            const details = document.createElement('div');
+            details.className = 'transaction-time';
+            details.textContent = {
+                pending: job.error ? `${progress} · retrying after: ${job.error}` : progress,
+                waiting: `${progress} · waiting for confirmations before sending more`,
+                revealed: `Revealed as ${shortId(job.inscriptionId)} · waiting for confirmation`,
+                confirmed: `Inscribed as ${shortId(job.inscriptionId)}`,
+                failed: `Failed at ${progress}: ${job.error}`
+            }[job.status];
+
+            item.append(title, details);
+
+            if (job.status === 'failed') {
+                const retryButton = document.createElement('button');
+                retryButton.className = 'link-button';
+                retryButton.textContent = 'Retry';
+                retryButton.addEventListener('click', async () => {
+                    try {
+                        await wallet.retryInscription(job.id);
+                    } catch (error) {
+                        this.showErrorModal('Failed to retry inscription: ' + error.message);
+                    }
+                    this.renderInscriptionJobs();
+                });
+                item.appendChild(retryButton);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Set up the sign and verify message tools
+     */
+    setupMessageSigning() {
+        [['main_sign_message_button', 'sign'], ['main_verify_message_button', 'verify']].forEach(([id, mode]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.hideModal('settings_modal');
+                    this.showMessageTool(mode);
+                });
+            }
+        });
+
+        const actionButton = document.getElementById('message_action_button');
+        const copyButton = document.getElementById('message_copy_button');
+
+        if (actionButton) {
+            actionButton.addEventListener('click', () => this.handleMessageAction());
+        }
+
+        if (copyButton) {
+            copyButton.addEventListener('click', () => {
+                const signature = document.getElementById('message_signature');
+                if (signature && signature.value) {
+                    this.copyToClipboard(signature.value, copyButton);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the message tool in 'sign' or 'verify' mode
+     */
+    showMessageTool(mode) {
+        this.messageMode = mode;
+        const isSign = mode === 'sign';
+
+        const title = document.getElementById('message_modal_title');
+        const addressInput = document.getElementById('message_address');
+        const addressList = document.getElementById('message_address_list');
+        const messageInput = document.getElementById('message_text');
+        const signatureInput = document.getElementById('message_signature');
+        const result = document.getElementById('message_result');
+        const actionButton = document.getElementById('message_action_button');
+        const copyButton = document.getElementById('message_copy_button');
+
+        if (title) title.textContent = isSign ? 'Sign Message' : 'Verify Message';
+        if (actionButton) actionButton.textContent = isSign ? 'Sign' : 'Verify';
+        if (copyButton) copyButton.style.display = 'none';
+        if (messageInput) messageInput.value = '';
+        if (result) {
+            result.textContent = '';
+            result.className = 'message-result';
+        }
+
+        // Signing offers this wallet's addresses; the signature is the output
+        if (addressList) {
+            addressList.innerHTML = '';
+            if (isSign) {
+                wallet.getAddresses().forEach(address => {
+                    const option = document.createElement('option');
+                    option.value = address;
+                    addressList.appendChild(option);
+                });
+            }
+        }
+        if (addressInput) addressInput.value = isSign ? wallet.getAddress() : '';
+        if (signatureInput) {
+            signatureInput.value = '';
+            signatureInput.readOnly = isSign;
+        }
+
+        this.showModal('message_modal');
+    }
+
+    /**
+     * Sign the message, or verify the signature, shown in the message tool
+     */
+    handleMessageAction() {
+        const address = document.getElementById('message_address').value.trim();
+        const message = document.getElementById('message_text').value;
+        const signatureInput = document.getElementById('message_signature');
+        const result = document.getElementById('message_result');
+        const copyButton = document.getElementById('message_copy_button');
+
+        result.className = 'message-result';
+
+        try {
+            if (this.messageMode === 'sign') {
+                signatureInput.value = wallet.signMessage(address, message);
+                result.textContent = 'Message signed.';
+                if (copyButton) copyButton.style.display = '';
+                return;
+            }
+
+            if (!address || !signatureInput.value.trim()) {
+                throw new Error('Enter the address, message and signature');
+            }
+
+            const isValid = messageSigner.verify(message, address, signatureInput.value);
+            result.textContent = isValid
+                ? 'Valid signature: this message was signed by the key of the address.'
+                : 'Invalid signature for this address and message.';
+            result.classList.add(isValid ? 'valid' : 'invalid');
+        } catch (error) {
+            console.error('Message tool failed:', error);
+            if (error instanceof WalletLockedError) {
+                this.handleWalletLock();
+                return;
+            }
+            result.textContent = error.message;
+            result.classList.add('invalid');
+        }
+    }
+
+    /**
+     * Set up the coin control view
+     */
+    setupCoinControl() {
+        const openButton = document.getElementById('open_coin_control_button');
+        const clearButton = document.getElementById('clear_coin_selection_button');
+        const useButton = document.getElementById('use_coin_selection_button');
+
+        if (openButton) {
+            openButton.addEventListener('click', () => this.showCoinControl());
+        }
+
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.coinSelection.clear();
+                this.renderCoinControl();
+            });
+        }
+
+        if (useButton) {
+            useButton.addEventListener('click', () => this.useCoinSelection());
+        }
+    }
+
+    /**
+     * Show the coin control view
+     */
+    async showCoinControl() {
+        if (!this.isWalletReady()) {
+            this.showErrorModal('Wallet is locked. Please unlock it first.');
+            return;
+        }
+
+        const list = document.getElementById('coin_control_list');
+        if (list) list.textContent = 'Loading coins...';
+
+        this.showModal('coin_control_modal');
+        await this.renderCoinControl();
+    }
+
+    /**
+     * Render every UTXO with its freeze, label and pick controls
+     */
+    async renderCoinControl() {
+        const list = document.getElementById('coin_control_list');
+        if (!list) return;
+
+        let coins;
+        try {
+            coins = await wallet.getCoinControlList();
+        } catch (error) {
+            list.textContent = 'Failed to load coins: ' + error.message;
+            return;
+        }
+
+        // Drop picks that are no longer spendable
+        const pickable = new Set(coins.filter(coin => !coin.frozen && !coin.hasInscriptions).map(coin => coin.outpoint));
+        this.coinSelection.forEach(outpoint => {
+            if (!pickable.has(outpoint)) this.coinSelection.delete(outpoint);
+        });
+
+        list.innerHTML = '';
+        if (coins.length === 0) {
+            list.textContent = 'No confirmed coins';
+        }
+
+        coins.forEach(coin => {
+            const item = document.createElement('div');
+            item.className = 'coin-control-item' + (coin.frozen ? ' frozen' : '');
+            item.setAttribute('role', 'listitem');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.coinSelection.has(coin.outpoint);
+            checkbox.disabled = !pickable.has(coin.outpoint);
+            checkbox.setAttribute('aria-label', `Pick coin ${coin.outpoint}`);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.coinSelection.add(coin.outpoint);
+                } else {
+                    this.coinSelection.delete(coin.outpoint);
+                }
+                this.updateCoinControlSummary(coins);
+            });
+
+            const details = document.createElement('div');
+            const value = document.createElement('div');
+            value.className = 'coin-control-value';
+            value.textContent = `${(coin.satoshis / 100000000).toFixed(8)} DOGE`;
+            if (coin.hasInscriptions) {
+                const badge = document.createElement('span');
+                badge.className = 'coin-badge';
+                badge.textContent = 'Inscription';
+                value.appendChild(badge);
+            }
+            if (coin.frozen) {
+                const badge = document.createElement('span');
+                badge.className = 'coin-badge';
+                badge.textContent = 'Frozen';
+                value.appendChild(badge);
+            }
+            const outpoint = document.createElement('div');
+            outpoint.className = 'coin-control-outpoint';
+            outpoint.textContent = `${coin.txid.slice(0, 12)}…:${coin.vout} · ${coin.confirmations} conf`;
+            outpoint.title = `${coin.outpoint} (${coin.address || wallet.getAddress()})`;
+            details.append(value, outpoint);
+
+            const freezeButton = document.createElement('button');
+            freezeButton.className = 'secondary-button';
+            freezeButton.textContent = coin.frozen ? 'Unfreeze' : 'Freeze';
+            freezeButton.addEventListener('click', async () => {
+                try {
+                    await wallet.setFrozen(coin.outpoint, !coin.frozen);
+                    await this.renderCoinControl();
+                } catch (error) {
+                    this.showErrorModal('Failed to update coin: ' + error.message);
+                }
+            });
+
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.value = coin.label;
+            labelInput.placeholder = 'Label';
+            labelInput.setAttribute('aria-label', `Label for coin ${coin.outpoint}`);
+            labelInput.addEventListener('change', async () => {
+                try {
+                    await wallet.setUTXOLabel(coin.outpoint, labelInput.value);
+                } catch (error) {
+                    this.showErrorModal('Failed to label coin: ' + error.message);
+                }
+            });
+
+            item.append(checkbox, details, freezeButton, labelInput);
+            list.appendChild(item);
+        });
+
+        this.updateCoinControlSummary(coins);
+    }
+
+    /**
+     * Show how many coins are picked and their total
+     */
+    updateCoinControlSummary(coins) {
+        const summary = document.getElementById('coin_control_summary');
+        if (!summary) return;
+
+        const picked = coins.filter(coin => this.coinSelection.has(coin.outpoint));
+        const total = picked.reduce((sum, coin) => sum + coin.satoshis, 0);
+        summary.textContent = picked.length > 0
+            ? `${picked.length} coin${picked.length === 1 ? '' : 's'} picked · ${(total / 100000000).toFixed(8)} DOGE`
+            : 'No coins picked; the next send selects coins automatically';
+    }
+
+    /**
+     * Spend the picked coins in the next send
+     */
+    useCoinSelection() {
+        this.hideModal('coin_control_modal');
+
+        const sendModal = document.getElementById('send_modal');
+        if (sendModal && sendModal.classList.contains('active')) {
+            this.updateFeePreview();
+        } else {
+            this.showSendModal();
+        }
+    }
+
+    /**
+     * Set up the wallet and account switcher
+     */
+    setupWalletSwitcher() {
+        const switcherButton = document.getElementById('wallet_switcher_button');
+        const addAccountButton = document.getElementById('add_account_button');
+        const renameWalletButton = document.getElementById('rename_wallet_button');
+        const addWalletButton = document.getElementById('add_wallet_button');
+        const cancelAddWalletButton = document.getElementById('cancel_add_wallet_button');
+
+        if (switcherButton) {
+            switcherButton.addEventListener('click', () => this.showWalletSwitcher());
+        }
+
+        if (addAccountButton) {
+            addAccountButton.addEventListener('click', () => this.handleAddAccount());
+        }
+
+        if (renameWalletButton) {
+            renameWalletButton.addEventListener('click', () => this.handleRenameWallet());
+        }
+
+        if (addWalletButton) {
+            addWalletButton.addEventListener('click', () => this.handleAddWallet());
+        }
+
+        if (cancelAddWalletButton) {
+            cancelAddWalletButton.addEventListener('click', () => this.cancelAddWallet());
+        }
+    }
+
+    /**
+     * Update the switcher label with the active wallet and account
+     */
+    updateWalletSwitcher() {
+        const label = document.getElementById('wallet_switcher_label');
+        const activeWallet = wallet.getActiveWallet();
+        const activeAccount = wallet.getActiveAccount();
+
+        if (label && activeWallet) {
+            const name = activeWallet.type === 'watch' ? `${activeWallet.name} (watch-only)` : activeWallet.name;
+            label.textContent = activeWallet.accounts.length > 1 && activeAccount
+                ? `${name} · ${activeAccount.name}`
+                : name;
+        }
+    }
+
+    /**
+     * Show the wallet switcher with every wallet and account
+     */
+    showWalletSwitcher() {
+        const list = document.getElementById('wallet_switcher_list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        wallet.getWallets().forEach(entry => {
+            const group = document.createElement('div');
+            group.className = 'wallet-switcher-group';
+            group.setAttribute('role', 'listitem');
+
+            const title = document.createElement('h4');
+            const typeLabels = { privkey: 'private key', watch: 'watch-only' };
+            title.textContent = typeLabels[entry.type] ? `${entry.name} (${typeLabels[entry.type]})` : entry.name;
+            group.appendChild(title);
+
+            entry.accounts.forEach(account => {
+                const isActive = entry.id === wallet.activeWalletId && account.index === wallet.activeAccount;
+                const button = document.createElement('button');
+                button.className = 'wallet-switcher-account' + (isActive ? ' active' : '');
+                button.textContent = account.name;
+                button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+                button.addEventListener('click', () => this.handleSwitchAccount(entry.id, account.index));
+                group.appendChild(button);
+            });
+
+            list.appendChild(group);
+        });
+
+        const activeWallet = wallet.getActiveWallet();
+        const addAccountButton = document.getElementById('add_account_button');
+        if (addAccountButton) {
+            addAccountButton.disabled = !this.isWalletReady() || !activeWallet || activeWallet.type !== 'mnemonic';
+        }
+
+        this.showModal('wallet_switcher_modal');
+    }
+
+    /**
+     * Switch to a wallet account; other wallets must be unlocked first
+     */
+    async handleSwitchAccount(walletId, accountIndex) {
+        try {
+            const isOtherWallet = walletId !== wallet.activeWalletId;
+            this.coinSelection.clear();
+
+            if (isOtherWallet) {
+                await wallet.switchWallet(walletId);
+            }
+            await wallet.switchAccount(accountIndex);
+
+            this.hideModal('wallet_switcher_modal');
+
+            if (isOtherWallet && wallet.isWalletLocked()) {
+                this.handleWalletLock();
+                return;
+            }
+            if (isOtherWallet) {
+                this.showWalletScreen();
+            }
+
+            this.updateWalletDisplay();
+            await this.handleRefresh();
+        } catch (error) {
+            console.error('Failed to switch account:', error);
+            this.showErrorModal('Failed to switch account: ' + error.message);
+        }
+    }
+
+    /**
+     * Add the next BIP44 account to the active seed
+     */
+    async handleAddAccount() {
+        try {
+            this.setButtonLoading('add_account_button', true);
+            await wallet.addAccount();
+
+            this.hideModal('wallet_switcher_modal');
+            this.updateWalletDisplay();
+            await this.handleRefresh();
+        } catch (error) {
+            console.error('Failed to add account:', error);
+            if (error instanceof WalletLockedError) {
+                this.handleWalletLock();
+                return;
+            }
+            this.showErrorModal('Failed to add account: ' + error.message);
+        } finally {
+            this.setButtonLoading('add_account_button', false);
+        }
+    }
+
+    /**
+     * Rename the active wallet
+     */
+    async handleRenameWallet() {
+        const activeWallet = wallet.getActiveWallet();
+        if (!activeWallet) return;
+
+        const name = prompt('Wallet name', activeWallet.name);
+        if (name === null) return;
+
+        try {
+            await wallet.renameWallet(activeWallet.id, name);
+            this.updateWalletSwitcher();
+            this.showWalletSwitcher();
+        } catch (error) {
+            console.error('Failed to rename wallet:', error);
+            this.showErrorModal('Failed to rename wallet: ' + error.message);
+        }
+    }
+
+    /**
+     * Start creating or importing another wallet
+     */
+    handleAddWallet() {
+        const name = prompt('Name for the new wallet', `Wallet ${wallet.getWallets().length + 1}`);
+        if (name === null) return;
+
+        this.pendingWalletName = name.trim() || null;
+        this.hideModal('wallet_switcher_modal');
+
+        const cancelButton = document.getElementById('cancel_add_wallet_button');
+        if (cancelButton) cancelButton.style.display = 'block';
+
+        this.showSetupScreen();
+    }
+
+    /**
+     * Return to the current wallet without adding a new one
+     */
+    cancelAddWallet() {
+        this.pendingCredentials = null;
+        this.pendingWalletName = null;
+
+        const cancelButton = document.getElementById('cancel_add_wallet_button');
+        if (cancelButton) cancelButton.style.display = 'none';
+
+        if (wallet.isWalletLocked()) {
+            this.handleWalletLock();
+        } else {
+            this.showWalletScreen();
+        }
+    }
+
+    /**
+     * Ask for a new password, or the existing one when adding another wallet
+     */
+    async continueWithPassword() {
+        if (await wallet.isPasswordSet()) {
+            // All wallets share the app password, so reuse it for the new vault
+            this.currentSensitiveAction = 'add_wallet';
+            this.showAuthModal('Add Wallet', 'Enter your wallet password to encrypt the new wallet');
+            return;
+        }
+
+        this.showPasswordSetup();
+    }
+
+    /**
+     * Setup activity tracking for auto-lock
+     */
+    setupActivityTracking() {
+        const events = ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart'];
+        
+        events.forEach(event => {
+            document.addEventListener(event, () => {
+                if (wallet && wallet.credentials && !wallet.isWalletLocked()) {
+                    wallet.updateActivity();
+                }
+            }, true);
+        });
+    }
+
+    /**
+     * Handle wallet lock
+     */
+    handleWalletLock() {
+        // Close anything that may be showing key material or signing forms
+        ['sensitive_data_modal', 'auth_modal', 'settings_modal', 'send_modal', 'doginal_modal', 'wallet_switcher_modal', 'coin_control_modal', 'batch_send_modal', 'tx_review_modal',
+            'offline_signing_modal', 'offline_transfer_modal', 'message_modal', 'sweep_modal', 'fee_bump_modal', 'qr_scanner_modal',
+            'address_book_modal', 'tx_detail_modal', 'inscribe_modal', 'token_modal', 'token_inscribe_modal']
+            .forEach(modalId => this.hideModal(modalId));
+
+        const sensitiveDisplay = document.getElementById('sensitive_data_display');
+        if (sensitiveDisplay) {
+            sensitiveDisplay.textContent = '';
+            sensitiveDisplay.removeAttribute('data-sensitive');
+        }
+        const sweepInput = document.getElementById('sweep_wif_input');
+        if (sweepInput) sweepInput.value = '';
+        this.pendingCredentials = null;
+        this.pendingWalletName = null;
+        this.pendingBatch = null;
+        this.pendingDraft = null;
+        this.coinSelection.clear();
+        this.setSendMax(false);
+
+        const activeWallet = wallet.getActiveWallet();
+        const lockWalletName = document.getElementById('lock_wallet_name');
+        if (lockWalletName) {
+            lockWalletName.textContent = activeWallet ? activeWallet.name : '';
+        }
+
         this.currentScreen = 'wallet_lock_screen';
         this.hideAllScreens();
         document.getElementById('wallet_lock_screen').classList.add('active');
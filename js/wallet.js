@@ -4,7 +4,7 @@
  */
 
 // Import bitcore dependencies (these will be loaded via script tags)
-const { Address, PrivateKey, Transaction } = require ? require("bitcore-lib") : window.bitcore;
+const { Address, HDPublicKey, PrivateKey, Script, Transaction, URI } = require ? require("bitcore-lib") : window.bitcore;
 const Mnemonic = require ? require('bitcore-mnemonic') : window.Mnemonic;
 
 // Set dust amount for Dogecoin
@@ -13,14 +13,71 @@ if (Transaction) {
 }
 
 const DERIVATION_PATH = "m/44'/3'/0'/0/0";
+const RECEIVE_CHAIN = 0;
+const CHANGE_CHAIN = 1;
+const GAP_LIMIT = 20; // Unused addresses scanned before a chain is considered exhausted
 const DOGE_SATOSHIS = 100000000; // 1 DOGE = 100,000,000 satoshis
+const PBKDF2_ITERATIONS = 100000; // Shared by password hashing and vault key derivation
+const VAULT_VERSION = 1;
+const JOURNAL_OPEN_STATUSES = ['signed', 'pending']; // Entries whose inputs count as spent
+const JOURNAL_MAX_SETTLED = 200; // Confirmed, replaced, failed or dropped entries kept for history
+const REBROADCAST_GRACE_MS = 2 * 60 * 1000; // Time the API gets to index a broadcast before it counts as dropped
+const MAX_REBROADCASTS = 5;
+const UNSIGNED_BUNDLE_FORMAT = 'woof-unsigned-tx';
+const SIGNED_TX_FORMAT = 'woof-signed-tx';
+const OFFLINE_BUNDLE_VERSION = 1;
+const MAX_OFFLINE_BUNDLES = 20; // Exported bundles remembered for matching signed imports
+const PAYMENT_URI_SCHEME = /^(web\+)?dogecoin:/i; // web+dogecoin: is what browsers hand a registered web handler
+const INSCRIPTION_CHAIN_LIMIT = 25; // Unconfirmed ancestors Dogecoin Core relays; longer reveal chains wait for blocks
+const INSCRIPTION_MAX_SETTLED = 20; // Confirmed or failed inscription jobs kept
+const TRANSACTION_CATEGORIES = ['Income', 'Payment', 'Transfer', 'Trading', 'Fees', 'Gift', 'Other'];
+
+/**
+ * Thrown when an operation needs key material while the wallet is locked
+ */
+class WalletLockedError extends Error {
+    constructor(message = 'Wallet is locked. Unlock it to continue.') {
+        super(message);
+        this.name = 'WalletLockedError';
+    }
+}
+
+/**
+ * Convert a byte array to a hex string
+ */
+function bytesToHex(bytes) {
+    return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a hex string to a byte array
+ */
+function hexToBytes(hex) {
+    return new Uint8Array((hex.match(/.{2}/g) || []).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Outpoint key (txid:vout) of a UTXO
+ */
+function outpointOf(utxo) {
+    return `${utxo.txid}:${utxo.vout}`;
+}
+
+/**
+ * BIP44 derivation path of a Dogecoin account
+ */
+function accountDerivationPath(account) {
+    return `m/44'/3'/${account}'`;
+}
 
 class WoofWallet {
     constructor() {
         this.credentials = null;
+        this.publicCredentials = null; // Watch-only address/xpub, kept while locked
         this.acceptedTerms = false;
         this.utxos = [];
         this.inscriptions = {};
+        this.tokens = []; // DRC-20 balances summed over the account's addresses
         this.balance = { confirmed: 0, unconfirmed: 0, total: 0 };
         this.transactions = [];
         this.isLoading = false;
@@ -29,6 +86,20 @@ class WoofWallet {
         this.autoLockTimeout = null;
         this.autoLockDuration = 15 * 60 * 1000; // 15 minutes
         this.isLocked = false;
+        this.hasVault = false;
+        this.hdState = this.createDefaultHDState();
+        this.addressCache = {};
+        this.addressPaths = {};
+        this.wallets = []; // Registry of named wallets and their accounts
+        this.activeWalletId = null;
+        this.activeAccount = 0;
+        this.storage = null; // Namespace of the active wallet (vault, derivation)
+        this.accountStorage = null; // Namespace of the active account (xpub, chains, UTXOs)
+        this.frozenOutpoints = []; // Coins excluded from automatic selection
+        this.utxoLabels = {}; // Outpoint -> user label
+        this.transactionLabels = {}; // Txid -> { label, category, notes }
+        this.inscriptionJobs = []; // Commit/reveal chains being broadcast, with their signed hex
+        this.journal = []; // Every transaction this account signed, newest last
     }
 
     /**
@@ -64,22 +135,51 @@ class WoofWallet {
      */
     async load() {
         try {
-            const data = await walletStorage.getMultiple([
-                'privkey', 'mnemonic', 'derivation', 'accepted_terms', 'utxos'
+            const data = await walletStorage.getMultiple(['wallets', 'active_wallet', 'accepted_terms', 'fee_fallback_rate']);
+
+            this.acceptedTerms = data.accepted_terms || false;
+            if (data.fee_fallback_rate) {
+                walletAPI.setFallbackFeeRate(data.fee_fallback_rate);
+            }
+            this.wallets = data.wallets || [];
+            this.selectWallet(this.wallets.find(entry => entry.id === data.active_wallet) || this.wallets[0]);
+
+            if (!this.storage) {
+                this.publicCredentials = null;
+                this.hasVault = false;
+                this.hdState = this.createDefaultHDState();
+                this.utxos = [];
+                return true;
+            }
+
+            const walletData = await this.storage.getMultiple(['vault', 'privkey']);
+            const accountData = await this.accountStorage.getMultiple([
+                'public_credentials', 'hd_state', 'utxos', 'frozen_utxos', 'utxo_labels', 'tx_labels', 'tx_journal',
+                'inscription_jobs'
             ]);
 
-            // Load credentials
-            if (data.privkey) {
-                this.credentials = {
-                    privateKey: new PrivateKey(data.privkey),
-                    mnemonic: data.mnemonic ? new Mnemonic(data.mnemonic) : null,
-                    derivation: data.derivation || DERIVATION_PATH
-                };
+            this.hdState = accountData.hd_state || this.createDefaultHDState();
+            this.addressCache = {};
+            this.addressPaths = {};
+
+            // Watch-only data lets balance and history refresh while locked
+            this.publicCredentials = accountData.public_credentials || null;
+
+            // Key material is only decrypted in unlockWallet, so a stored
+            // wallet always starts out locked; a watch-only wallet has nothing to lock
+            this.hasVault = !!(walletData.vault || walletData.privkey);
+            if (this.hasVault && !this.credentials) {
+                this.isLocked = true;
+            } else if (this.isWatchOnly()) {
+                this.isLocked = false;
             }
 
-            // Load other data
-            this.acceptedTerms = data.accepted_terms || false;
-            this.utxos = data.utxos || [];
+            this.utxos = accountData.utxos || [];
+            this.frozenOutpoints = accountData.frozen_utxos || [];
+            this.utxoLabels = accountData.utxo_labels || {};
+            this.transactionLabels = accountData.tx_labels || {};
+            this.journal = accountData.tx_journal || [];
+            this.inscriptionJobs = accountData.inscription_jobs || [];
 
             return true;
         } catch (error) {
@@ -122,17 +222,20 @@ class WoofWallet {
     }
 
     /**
-     * Create credentials from mnemonic
+     * Create credentials from mnemonic, scanning the account for used addresses
      */
-    createCredentialsFromMnemonic(mnemonicText) {
+    async createCredentialsFromMnemonic(mnemonicText) {
         try {
             const mnemonic = new Mnemonic(mnemonicText.trim());
-            const privateKey = mnemonic.toHDPrivateKey().deriveChild(DERIVATION_PATH).privateKey;
+            const hdPrivateKey = mnemonic.toHDPrivateKey();
+            const privateKey = hdPrivateKey.deriveChild(DERIVATION_PATH).privateKey;
+            const accountPublicKey = hdPrivateKey.deriveChild(accountDerivationPath(0)).hdPublicKey;
             
             return {
                 privateKey,
                 mnemonic,
-                derivation: DERIVATION_PATH
+                derivation: DERIVATION_PATH,
+                hdState: await this.scanAccount(accountPublicKey)
             };
         } catch (error) {
             console.error('Failed to create credentials from mnemonic:', error);
@@ -159,17 +262,118 @@ class WoofWallet {
     }
 
     /**
-     * Store wallet credentials
+     * Create watch-only credentials from a Dogecoin address or an account-level xpub
      */
-    async storeCredentials(credentials) {
+    async createWatchOnlyCredentials(text) {
         try {
-            await walletStorage.setMultiple({
+            const value = text.trim();
+
+            if (Address.isValid(value)) {
+                return { address: new Address(value).toString(), xpub: null, hdState: null };
+            }
+
+            let accountPublicKey;
+            try {
+                accountPublicKey = new HDPublicKey(value);
+            } catch (error) {
+                throw new Error('Enter a Dogecoin address or an extended public key (xpub)');
+            }
+
+            // The key is treated as m/44'/3'/<account>', with receive and change chains below it
+            return {
+                address: accountPublicKey.deriveChild(RECEIVE_CHAIN).deriveChild(0).publicKey.toAddress().toString(),
+                xpub: accountPublicKey.toString(),
+                hdState: await this.scanAccount(accountPublicKey)
+            };
+        } catch (error) {
+            console.error('Failed to create watch-only credentials:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether text is a valid Dogecoin private key in WIF
+     */
+    isValidPrivateKey(wif) {
+        const value = wif.trim();
+        // bitcore also accepts raw hex keys, so require the Base58Check WIF form
+        return /^[1-9A-HJ-NP-Za-km-z]{51,52}$/.test(value) && PrivateKey.isValid(value);
+    }
+
+    /**
+     * Rebuild credentials from decrypted vault secrets
+     */
+    createCredentialsFromSecrets(secrets, derivation) {
+        return {
+            privateKey: new PrivateKey(secrets.privkey),
+            mnemonic: secrets.mnemonic ? new Mnemonic(secrets.mnemonic) : null,
+            derivation: derivation || (secrets.mnemonic ? DERIVATION_PATH : null)
+        };
+    }
+
+    /**
+     * Derive the watch-only address and account xpub from credentials
+     */
+    createPublicCredentials(credentials, account = 0) {
+        if (!credentials.mnemonic) {
+            return {
+                address: credentials.privateKey.toAddress().toString(),
+                xpub: null
+            };
+        }
+
+        const accountKey = credentials.mnemonic.toHDPrivateKey().deriveChild(accountDerivationPath(account));
+        return {
+            address: accountKey.deriveChild(RECEIVE_CHAIN).deriveChild(0).privateKey.toAddress().toString(),
+            xpub: accountKey.hdPublicKey.toString()
+        };
+    }
+
+    /**
+     * Store wallet credentials encrypted with the wallet password as a new named wallet
+     */
+    async storeCredentials(credentials, password, name = null) {
+        try {
+            if (!password) {
+                throw new Error('A password is required to store wallet credentials');
+            }
+
+            const vault = await this.encryptVault({
                 privkey: credentials.privateKey.toWIF(),
-                mnemonic: credentials.mnemonic ? credentials.mnemonic.toString() : null,
+                mnemonic: credentials.mnemonic ? credentials.mnemonic.toString() : null
+            }, password);
+
+            const publicCredentials = this.createPublicCredentials(credentials);
+
+            const hdState = credentials.hdState || this.createDefaultHDState();
+
+            const entry = {
+                id: bytesToHex(crypto.getRandomValues(new Uint8Array(8))),
+                name: name || `Wallet ${this.wallets.length + 1}`,
+                type: credentials.mnemonic ? 'mnemonic' : 'privkey',
+                accounts: [{ index: 0, name: 'Account 1' }],
+                activeAccount: 0
+            };
+
+            await walletStorage.forWallet(entry.id).setMultiple({
+                vault,
                 derivation: credentials.derivation
             });
+            await walletStorage.forAccount(entry.id, 0).setMultiple({
+                public_credentials: publicCredentials,
+                hd_state: hdState
+            });
 
+            this.wallets.push(entry);
+            this.selectWallet(entry);
+            await this.saveWalletRegistry();
+
+            this.resetWalletState();
             this.credentials = credentials;
+            this.publicCredentials = publicCredentials;
+            this.hdState = hdState;
+            this.hasVault = true;
+            this.isLocked = false;
             return true;
         } catch (error) {
             console.error('Failed to store credentials:', error);
@@ -177,6 +381,129 @@ class WoofWallet {
         }
     }
 
+    /**
+     * Store an address or xpub as a new watch-only wallet; it has no vault and never locks
+     */
+    async storeWatchOnly(watchCredentials, name = null) {
+        try {
+            const publicCredentials = { address: watchCredentials.address, xpub: watchCredentials.xpub };
+            const hdState = watchCredentials.hdState || this.createDefaultHDState();
+
+            const entry = {
+                id: bytesToHex(crypto.getRandomValues(new Uint8Array(8))),
+                name: name || `Watch-only ${this.wallets.length + 1}`,
+                type: 'watch',
+                accounts: [{ index: 0, name: 'Account 1' }],
+                activeAccount: 0
+            };
+
+            await walletStorage.forAccount(entry.id, 0).setMultiple({
+                public_credentials: publicCredentials,
+                hd_state: hdState
+            });
+
+            this.clearSensitiveMemoryData();
+            this.wallets.push(entry);
+            this.selectWallet(entry);
+            await this.saveWalletRegistry();
+
+            this.resetWalletState();
+            this.publicCredentials = publicCredentials;
+            this.hdState = hdState;
+            this.hasVault = false;
+            this.isLocked = false;
+            return true;
+        } catch (error) {
+            console.error('Failed to store watch-only wallet:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Derive an AES-GCM key from the wallet password using PBKDF2
+     */
+    async deriveVaultKey(password, salt, iterations = PBKDF2_ITERATIONS) {
+        if (!window.crypto || !crypto.subtle) {
+            throw new Error('Secure encryption is not available in this browser');
+        }
+
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: hexToBytes(salt),
+                iterations,
+                hash: 'SHA-256'
+            },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt wallet secrets into a vault (ciphertext plus salt and IV)
+     */
+    async encryptVault(secrets, password) {
+        try {
+            const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const key = await this.deriveVaultKey(password, salt);
+
+            const ciphertext = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv },
+                key,
+                new TextEncoder().encode(JSON.stringify(secrets))
+            );
+
+            return {
+                version: VAULT_VERSION,
+                cipher: 'AES-GCM',
+                kdf: 'PBKDF2-SHA256',
+                iterations: PBKDF2_ITERATIONS,
+                salt,
+                iv: bytesToHex(iv),
+                ciphertext: bytesToHex(ciphertext)
+            };
+        } catch (error) {
+            console.error('Failed to encrypt vault:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Decrypt a vault back into wallet secrets
+     */
+    async decryptVault(vault, password) {
+        if (!vault || !vault.ciphertext) {
+            throw new Error('No encrypted wallet found');
+        }
+
+        const key = await this.deriveVaultKey(password, vault.salt, vault.iterations);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: hexToBytes(vault.iv) },
+                key,
+                hexToBytes(vault.ciphertext)
+            );
+        } catch (error) {
+            // AES-GCM authentication fails when the password is wrong
+            throw new Error('Invalid password');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
     /**
      * Store password hash for authentication using PBKDF2
      */
@@ -226,6 +553,36 @@ class WoofWallet {
         }
     }
 
+    /**
+     * Check if the active wallet holds plaintext keys from a version that never set a password
+     * Such a wallet cannot pass the lock screen, so it goes through password setup instead
+     */
+    async needsPasswordSetup() {
+        if (!this.storage || this.isWatchOnly() || await this.isPasswordSet()) {
+            return false;
+        }
+
+        const plaintext = await this.storage.getMultiple(['privkey', 'mnemonic']);
+        return !!(plaintext.privkey || plaintext.mnemonic);
+    }
+
+    /**
+     * Set the first password of a legacy wallet, encrypting its plaintext keys and unlocking it
+     */
+    async secureLegacyWallet(password) {
+        try {
+            if (!await this.needsPasswordSetup()) {
+                throw new Error('This wallet already has a password');
+            }
+
+            await this.storePassword(password);
+            return await this.unlockWallet(password);
+        } catch (error) {
+            console.error('Failed to secure legacy wallet:', error);
+            throw error;
+        }
+    }
+
     /**
      * Check if biometric authentication is available
      */
@@ -371,10 +728,15 @@ class WoofWallet {
      */
     async lockWallet() {
         try {
+            // Watch-only wallets hold no keys, so there is nothing to lock
+            if (this.isWatchOnly()) {
+                return false;
+            }
+
             this.isLocked = true;
-            console.log('Wallet auto-locked due to inactivity');
+            console.log('Wallet locked');
             
-            // Clear sensitive data from memory (but keep credentials encrypted in storage)
+            // Drop key material from memory (credentials stay encrypted in storage)
             this.clearSensitiveMemoryData();
             
             // Notify UI about lock state
@@ -399,6 +761,25 @@ class WoofWallet {
                 throw new Error('Invalid password');
             }
 
+            if (!this.storage || this.isWatchOnly()) {
+                throw new Error('No wallet to unlock');
+            }
+
+            // Encrypt any plaintext keys left by older versions
+            await this.storage.migrate(secrets => this.encryptVault(secrets, password));
+
+            // Decrypt key material of the active wallet into memory
+            const { vault, derivation } = await this.storage.getMultiple(['vault', 'derivation']);
+            const secrets = await this.decryptVault(vault, password);
+            this.credentials = this.createCredentialsFromSecrets(secrets, derivation);
+            this.hasVault = true;
+
+            // Wallets stored before watch-only support get their public data now
+            if (!this.publicCredentials) {
+                this.publicCredentials = this.createPublicCredentials(this.credentials, this.activeAccount);
+                await this.accountStorage.set('public_credentials', this.publicCredentials);
+            }
+
             this.isLocked = false;
             this.updateActivity();
             
@@ -417,7 +798,8 @@ class WoofWallet {
      * Clear sensitive data from memory (keeping storage intact)
      */
     clearSensitiveMemoryData() {
-        // Keep essential data but clear sensitive memory
+        // Drop the PrivateKey and Mnemonic objects; only watch-only data remains
+        this.credentials = null;
         this.lastActivity = Date.now();
         
         if (this.autoLockTimeout) {
@@ -426,6 +808,21 @@ class WoofWallet {
         }
     }
 
+    /**
+     * Ensure key material is available for signing
+     */
+    requireUnlocked() {
+        if (this.isWatchOnly()) {
+            throw new Error('This is a watch-only wallet. Export the transaction and sign it on the device that holds the keys.');
+        }
+        if (this.isLocked || (!this.credentials && this.hasVault)) {
+            throw new WalletLockedError();
+        }
+        if (!this.credentials) {
+            throw new Error('No wallet credentials loaded');
+        }
+    }
+
     /**
      * Check if wallet is locked
      */
@@ -473,7 +870,7 @@ class WoofWallet {
                 {
                     name: 'PBKDF2',
                     salt: saltBuffer,
-                    iterations: 100000, // 100k iterations for security
+                    iterations: PBKDF2_ITERATIONS, // 100k iterations for security
                     hash: 'SHA-256'
                 },
                 keyMaterial,
@@ -552,109 +949,637 @@ class WoofWallet {
     }
 
     /**
-     * Get seed phrase (mnemonic) if available
+     * Check if a wallet exists, whether or not it is unlocked
      */
-    getSeedPhrase() {
-        if (!this.credentials) {
-            throw new Error('No wallet credentials loaded');
-        }
-        return this.credentials.mnemonic ? this.credentials.mnemonic.toString() : null;
+    hasWallet() {
+        return !!this.credentials || this.hasVault || this.isWatchOnly();
     }
 
     /**
-     * Get private key in WIF format
+     * Check if the active wallet only tracks an address or xpub and cannot sign
      */
-    getPrivateKey() {
-        if (!this.credentials) {
-            throw new Error('No wallet credentials loaded');
+    isWatchOnly() {
+        const entry = this.getActiveWallet();
+        return !!entry && entry.type === 'watch';
+    }
+
+    /**
+     * Check if a watch-only address is available for refreshing data
+     */
+    hasWatchAddress() {
+        return !!(this.publicCredentials || this.credentials);
+    }
+
+    /**
+     * Point storage at a wallet entry and its active account
+     */
+    selectWallet(entry) {
+        if (!entry) {
+            this.activeWalletId = null;
+            this.activeAccount = 0;
+            this.storage = null;
+            this.accountStorage = null;
+            return;
         }
-        return this.credentials.privateKey.toWIF();
+
+        this.activeWalletId = entry.id;
+        this.activeAccount = entry.activeAccount || 0;
+        this.storage = walletStorage.forWallet(entry.id);
+        this.accountStorage = walletStorage.forAccount(entry.id, this.activeAccount);
     }
 
     /**
-     * Get wallet address
+     * Persist the wallet registry and the active wallet
      */
-    getAddress() {
-        if (!this.credentials) {
-            throw new Error('No wallet credentials loaded');
+    async saveWalletRegistry() {
+        if (this.activeWalletId) {
+            await walletStorage.setMultiple({ wallets: this.wallets, active_wallet: this.activeWalletId });
+        } else {
+            await walletStorage.set('wallets', this.wallets);
+            await walletStorage.remove('active_wallet');
         }
-        
-        return this.credentials.privateKey.toAddress().toString();
     }
 
     /**
-     * Refresh UTXOs from the blockchain
+     * Get all named wallets with their accounts
      */
-    async refreshUTXOs() {
+    getWallets() {
+        return this.wallets;
+    }
+
+    /**
+     * Get the registry entry of the active wallet
+     */
+    getActiveWallet() {
+        return this.wallets.find(entry => entry.id === this.activeWalletId) || null;
+    }
+
+    /**
+     * Get the registry entry of the active account
+     */
+    getActiveAccount() {
+        const entry = this.getActiveWallet();
+        return entry ? entry.accounts.find(account => account.index === this.activeAccount) || null : null;
+    }
+
+    /**
+     * Reset per-wallet data held in memory
+     */
+    resetWalletState() {
+        this.publicCredentials = null;
+        this.hdState = this.createDefaultHDState();
+        this.addressCache = {};
+        this.addressPaths = {};
+        this.utxos = [];
+        this.frozenOutpoints = [];
+        this.utxoLabels = {};
+        this.transactionLabels = {};
+        this.journal = [];
+        this.inscriptionJobs = [];
+        this.inscriptions = {};
+        this.tokens = [];
+        this.balance = { confirmed: 0, unconfirmed: 0, total: 0 };
+        this.transactions = [];
+        this.lastSync = null;
+    }
+
+    /**
+     * Switch to another wallet; its keys stay encrypted until it is unlocked
+     */
+    async switchWallet(walletId) {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
+            const entry = this.wallets.find(wallet => wallet.id === walletId);
+            if (!entry) {
+                throw new Error('Wallet not found');
+            }
+            if (entry.id === this.activeWalletId) {
+                return false;
             }
 
-            this.isLoading = true;
-            const address = this.getAddress();
-            
-            console.log('Refreshing UTXOs for address:', address);
-            
-            // Get UTXOs from API
-            const utxos = await walletAPI.getUTXOs(address);
-            
-            // Filter confirmed UTXOs
-            const confirmedUTXOs = utxos.filter(utxo => utxo.confirmations > 0);
-            const unconfirmedCount = utxos.length - confirmedUTXOs.length;
-            
-            // Sort by confirmations (newest first)
-            confirmedUTXOs.sort((a, b) => (a.confirmations || 0) - (b.confirmations || 0));
-            
-            console.log(`Found ${confirmedUTXOs.length} confirmed UTXOs, ${unconfirmedCount} unconfirmed`);
-            
-            this.utxos = confirmedUTXOs;
-            this.numUnconfirmed = unconfirmedCount;
-            
-            // Store UTXOs
-            await walletStorage.set('utxos', confirmedUTXOs);
-            
-            this.lastSync = new Date();
-            return confirmedUTXOs;
+            // Each wallet has its own vault, so the current keys are dropped
+            this.clearSensitiveMemoryData();
+            this.resetWalletState();
+            this.selectWallet(entry);
+            await this.saveWalletRegistry();
+            await this.load();
+
+            console.log(`Switched to wallet ${entry.name}`);
+            return true;
         } catch (error) {
-            console.error('Failed to refresh UTXOs:', error);
+            console.error('Failed to switch wallet:', error);
             throw error;
-        } finally {
-            this.isLoading = false;
         }
     }
 
     /**
-     * Refresh balance
+     * Switch to another BIP44 account of the active wallet
      */
-    async refreshBalance() {
+    async switchAccount(accountIndex) {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
+            const entry = this.getActiveWallet();
+            if (!entry || !entry.accounts.some(account => account.index === accountIndex)) {
+                throw new Error('Account not found');
+            }
+            if (accountIndex === this.activeAccount) {
+                return false;
             }
 
-            const address = this.getAddress();
-            this.balance = await walletAPI.getBalance(address);
-            
-            console.log('Balance updated:', this.balance);
-            return this.balance;
+            // Accounts share the seed, so an unlocked wallet stays unlocked
+            entry.activeAccount = accountIndex;
+            this.resetWalletState();
+            this.selectWallet(entry);
+            await this.saveWalletRegistry();
+            await this.load();
+
+            console.log(`Switched to account ${accountIndex}`);
+            return true;
         } catch (error) {
-            console.error('Failed to refresh balance:', error);
+            console.error('Failed to switch account:', error);
             throw error;
         }
     }
 
     /**
-     * Refresh transaction history
+     * Add the next BIP44 account of the active seed and switch to it
      */
-    async refreshTransactions() {
+    async addAccount(name = null) {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
+            this.requireUnlocked();
+
+            const entry = this.getActiveWallet();
+            if (!this.credentials.mnemonic) {
+                throw new Error('Only seed phrase wallets can have multiple accounts');
             }
 
-            const address = this.getAddress();
-            this.transactions = await walletAPI.getTransactions(address);
+            const accountIndex = Math.max(...entry.accounts.map(account => account.index)) + 1;
+            const publicCredentials = this.createPublicCredentials(this.credentials, accountIndex);
+            const hdState = await this.scanAccount(new HDPublicKey(publicCredentials.xpub));
+
+            await walletStorage.forAccount(entry.id, accountIndex).setMultiple({
+                public_credentials: publicCredentials,
+                hd_state: hdState
+            });
+
+            entry.accounts.push({ index: accountIndex, name: name || `Account ${accountIndex + 1}` });
+            await this.switchAccount(accountIndex);
+            return accountIndex;
+        } catch (error) {
+            console.error('Failed to add account:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a wallet
+     */
+    async renameWallet(walletId, name) {
+        try {
+            const entry = this.wallets.find(wallet => wallet.id === walletId);
+            if (!entry) {
+                throw new Error('Wallet not found');
+            }
+            if (!name || !name.trim()) {
+                throw new Error('Wallet name cannot be empty');
+            }
+
+            entry.name = name.trim();
+            await this.saveWalletRegistry();
+            return true;
+        } catch (error) {
+            console.error('Failed to rename wallet:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Initial HD state: only the first receive address is in use
+     */
+    createDefaultHDState() {
+        return { receiveCount: 1, changeCount: 0, used: [] };
+    }
+
+    /**
+     * Persist HD chain counters and used addresses
+     */
+    async saveHDState() {
+        await this.accountStorage.set('hd_state', this.hdState);
+    }
+
+    /**
+     * Get the account-level HD public key (null for single-key wallets)
+     */
+    getAccountPublicKey() {
+        const xpub = this.publicCredentials && this.publicCredentials.xpub;
+        return xpub ? new HDPublicKey(xpub) : null;
+    }
+
+    /**
+     * Get the account-level HD private key used to sign for derived addresses
+     */
+    getAccountPrivateKey() {
+        this.requireUnlocked();
+
+        if (!this.credentials.mnemonic) {
+            return null;
+        }
+        this.credentials.accountKeys = this.credentials.accountKeys || {};
+        if (!this.credentials.accountKeys[this.activeAccount]) {
+            this.credentials.accountKeys[this.activeAccount] = this.credentials.mnemonic
+                .toHDPrivateKey()
+                .deriveChild(accountDerivationPath(this.activeAccount));
+        }
+        return this.credentials.accountKeys[this.activeAccount];
+    }
+
+    /**
+     * Derive the address at m/44'/3'/<account>'/<chain>/<index>
+     */
+    deriveAddress(chain, index) {
+        const path = `${chain}/${index}`;
+
+        if (!this.addressCache[path]) {
+            const accountPublicKey = this.getAccountPublicKey();
+            if (!accountPublicKey) {
+                throw new Error('Wallet has no HD account');
+            }
+
+            const address = accountPublicKey.deriveChild(chain).deriveChild(index)
+                .publicKey.toAddress().toString();
+            this.addressCache[path] = address;
+            this.addressPaths[address] = { chain, index };
+        }
+
+        return this.addressCache[path];
+    }
+
+    /**
+     * Get every tracked address on the receive and change chains
+     */
+    getAddresses() {
+        if (!this.getAccountPublicKey()) {
+            return [this.getAddress()];
+        }
+
+        const addresses = [];
+        for (let i = 0; i < this.hdState.receiveCount; i++) {
+            addresses.push(this.deriveAddress(RECEIVE_CHAIN, i));
+        }
+        for (let i = 0; i < this.hdState.changeCount; i++) {
+            addresses.push(this.deriveAddress(CHANGE_CHAIN, i));
+        }
+        return addresses;
+    }
+
+    /**
+     * Check whether an address belongs to this wallet
+     */
+    isOwnAddress(address) {
+        return this.getAddresses().includes(address);
+    }
+
+    /**
+     * Look up the chain/index of a derived address
+     */
+    getAddressPath(address) {
+        if (!this.addressPaths[address]) {
+            this.getAddresses();
+        }
+        return this.addressPaths[address] || null;
+    }
+
+    /**
+     * Look up the chain/index of an address, trusting a claimed path only if it derives that address
+     * Lets an offline signer that never scanned the chains find keys for addresses beyond its counts
+     */
+    resolveAddressPath(address, claimedPath = null) {
+        const known = this.getAddressPath(address);
+        if (known || !claimedPath || !this.getAccountPublicKey()) {
+            return known;
+        }
+
+        const { chain, index } = claimedPath;
+        if ((chain === RECEIVE_CHAIN || chain === CHANGE_CHAIN) && Number.isInteger(index) && index >= 0 &&
+            this.deriveAddress(chain, index) === address) {
+            return { chain, index };
+        }
+        return null;
+    }
+
+    /**
+     * Record that an address has received or spent funds
+     */
+    async markAddressUsed(address) {
+        if (!this.hdState.used.includes(address)) {
+            this.hdState.used.push(address);
+            await this.saveHDState();
+        }
+    }
+
+    /**
+     * Get the first unused address on a chain, extending the chain if needed
+     */
+    async getNextUnusedAddress(chain) {
+        if (!this.getAccountPublicKey()) {
+            return this.getAddress();
+        }
+
+        const countKey = chain === CHANGE_CHAIN ? 'changeCount' : 'receiveCount';
+        for (let i = 0; i < this.hdState[countKey]; i++) {
+            const address = this.deriveAddress(chain, i);
+            if (!this.hdState.used.includes(address)) {
+                return address;
+            }
+        }
+
+        const address = this.deriveAddress(chain, this.hdState[countKey]);
+        this.hdState[countKey]++;
+        await this.saveHDState();
+        return address;
+    }
+
+    /**
+     * Get a fresh receive address
+     */
+    async getReceiveAddress() {
+        return this.getNextUnusedAddress(RECEIVE_CHAIN);
+    }
+
+    /**
+     * Get the next unused change address (m/44'/3'/<account>'/1/n)
+     */
+    async getChangeAddress() {
+        return this.getNextUnusedAddress(CHANGE_CHAIN);
+    }
+
+    /**
+     * Scan both chains of an account and build its HD state
+     */
+    async scanAccount(accountPublicKey) {
+        const [receive, change] = await Promise.all([
+            this.scanChain(accountPublicKey, RECEIVE_CHAIN),
+            this.scanChain(accountPublicKey, CHANGE_CHAIN)
+        ]);
+
+        return {
+            receiveCount: Math.max(receive.count, 1),
+            changeCount: change.count,
+            used: [...receive.used, ...change.used]
+        };
+    }
+
+    /**
+     * Scan a chain until GAP_LIMIT consecutive addresses have no history
+     */
+    async scanChain(accountPublicKey, chain) {
+        const chainKey = accountPublicKey.deriveChild(chain);
+        const used = [];
+        let count = 0;
+        let gap = 0;
+
+        for (let index = 0; gap < GAP_LIMIT; index++) {
+            const address = chainKey.deriveChild(index).publicKey.toAddress().toString();
+            const { txCount } = await walletAPI.getBalance(address);
+
+            if (txCount > 0) {
+                used.push(address);
+                count = index + 1;
+                gap = 0;
+            } else {
+                gap++;
+            }
+        }
+
+        console.log(`Chain ${chain} scan found ${used.length} used addresses`);
+        return { count, used };
+    }
+
+    /**
+     * Get the private keys needed to sign for the given UTXOs
+     */
+    getSigningKeys(utxos) {
+        this.requireUnlocked();
+
+        const accountKey = this.getAccountPrivateKey();
+        const keys = new Map();
+
+        for (const utxo of utxos) {
+            const address = utxo.address || this.getAddress();
+            if (keys.has(address)) continue;
+
+            const path = accountKey ? this.resolveAddressPath(address, utxo.path) : null;
+            if (path) {
+                keys.set(address, accountKey.deriveChild(path.chain).deriveChild(path.index).privateKey);
+            } else if (address === this.credentials.privateKey.toAddress().toString()) {
+                keys.set(address, this.credentials.privateKey);
+            } else {
+                throw new Error(`No signing key for address ${address}`);
+            }
+        }
+
+        return Array.from(keys.values());
+    }
+
+    /**
+     * Get seed phrase (mnemonic) if available
+     */
+    getSeedPhrase() {
+        this.requireUnlocked();
+        return this.credentials.mnemonic ? this.credentials.mnemonic.toString() : null;
+    }
+
+    /**
+     * Get private key in WIF format
+     */
+    getPrivateKey() {
+        this.requireUnlocked();
+        return this.credentials.privateKey.toWIF();
+    }
+
+    /**
+     * Sign a message with the key of one of this wallet's addresses
+     */
+    signMessage(address, message) {
+        try {
+            this.requireUnlocked();
+
+            if (!this.isOwnAddress(address)) {
+                throw new Error('That address does not belong to this wallet');
+            }
+            if (!message) {
+                throw new Error('Message cannot be empty');
+            }
+
+            const [privateKey] = this.getSigningKeys([{ address }]);
+            return messageSigner.sign(message, privateKey);
+        } catch (error) {
+            console.error('Failed to sign message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get wallet address
+     */
+    getAddress() {
+        if (this.publicCredentials) {
+            return this.publicCredentials.address;
+        }
+        if (!this.credentials) {
+            throw new Error('No wallet credentials loaded');
+        }
+        
+        return this.credentials.privateKey.toAddress().toString();
+    }
+
+    /**
+     * Parse a BIP21 dogecoin: payment URI, or a bare address, into its address, amount (DOGE), label and message
+     */
+    parsePaymentURI(text) {
+        const value = text.trim();
+
+        if (!this.isPaymentURI(value)) {
+            if (!Address.isValid(value)) {
+                throw new Error('Not a Dogecoin address or dogecoin: payment link');
+            }
+            return { address: value, amount: null, label: null, message: null };
+        }
+
+        let uri;
+        try {
+            uri = new URI(value.replace(PAYMENT_URI_SCHEME, 'dogecoin:'));
+        } catch (error) {
+            throw new Error(`Invalid dogecoin: payment link: ${error.message}`);
+        }
+
+        return {
+            address: uri.address.toString(),
+            amount: uri.amount ? uri.amount / DOGE_SATOSHIS : null,
+            label: uri.label || null,
+            message: uri.message || null
+        };
+    }
+
+    /**
+     * Check whether text is a dogecoin: payment URI rather than a bare address
+     */
+    isPaymentURI(text) {
+        return PAYMENT_URI_SCHEME.test(text.trim());
+    }
+
+    /**
+     * Build a BIP21 dogecoin: payment URI; amount is in DOGE and every field but the address is optional
+     */
+    createPaymentURI(address, { amount = null, label = null, message = null } = {}) {
+        if (!Address.isValid(address)) {
+            throw new Error('Invalid Dogecoin address');
+        }
+        if (amount !== null && !(amount > 0)) {
+            throw new Error('Requested amount must be greater than 0');
+        }
+
+        return new URI({
+            address,
+            ...(amount ? { amount: Math.round(amount * DOGE_SATOSHIS) } : {}),
+            ...(label ? { label } : {}),
+            ...(message ? { message } : {})
+        }).toString();
+    }
+
+    /**
+     * Refresh UTXOs from the blockchain
+     */
+    async refreshUTXOs() {
+        try {
+            if (!this.hasWatchAddress()) {
+                throw new Error('No wallet credentials loaded');
+            }
+
+            this.isLoading = true;
+            const addresses = this.getAddresses();
+            
+            console.log(`Refreshing UTXOs for ${addresses.length} addresses`);
+            
+            // Get UTXOs from API for every derived address
+            const results = await Promise.all(addresses.map(address => walletAPI.getUTXOs(address)));
+            const utxos = results.flat();
+            
+            // Filter confirmed UTXOs
+            const confirmedUTXOs = utxos.filter(utxo => utxo.confirmations > 0);
+            const unconfirmedCount = utxos.length - confirmedUTXOs.length;
+            
+            // Sort by confirmations (newest first)
+            confirmedUTXOs.sort((a, b) => (a.confirmations || 0) - (b.confirmations || 0));
+            
+            console.log(`Found ${confirmedUTXOs.length} confirmed UTXOs, ${unconfirmedCount} unconfirmed`);
+            
+            this.utxos = confirmedUTXOs;
+            this.numUnconfirmed = unconfirmedCount;
+            
+            // Store UTXOs
+            await this.accountStorage.set('utxos', confirmedUTXOs);
+            
+            this.lastSync = new Date();
+            return confirmedUTXOs;
+        } catch (error) {
+            console.error('Failed to refresh UTXOs:', error);
+            throw error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Refresh balance
+     */
+    async refreshBalance() {
+        try {
+            if (!this.hasWatchAddress()) {
+                throw new Error('No wallet credentials loaded');
+            }
+
+            const addresses = this.getAddresses();
+            const balances = await Promise.all(addresses.map(address => walletAPI.getBalance(address)));
+
+            this.balance = balances.reduce((total, balance) => ({
+                confirmed: total.confirmed + balance.confirmed,
+                unconfirmed: total.unconfirmed + balance.unconfirmed,
+                total: total.total + balance.total
+            }), { confirmed: 0, unconfirmed: 0, total: 0 });
+
+            // Track which addresses have history so they are not handed out again
+            for (let i = 0; i < addresses.length; i++) {
+                if (balances[i].txCount > 0) {
+                    await this.markAddressUsed(addresses[i]);
+                }
+            }
+            
+            console.log('Balance updated:', this.balance);
+            return this.balance;
+        } catch (error) {
+            console.error('Failed to refresh balance:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Refresh transaction history
+     */
+    async refreshTransactions() {
+        try {
+            if (!this.hasWatchAddress()) {
+                throw new Error('No wallet credentials loaded');
+            }
+
+            const addresses = this.getAddresses();
+            const results = await Promise.all(addresses.map(address => walletAPI.getTransactions(address)));
+
+            // A transaction touching several of our addresses is listed once
+            const byTxid = new Map();
+            results.flat().forEach(tx => byTxid.set(tx.txid, tx));
+
+            // Newest first, with unconfirmed transactions on top
+            this.transactions = Array.from(byTxid.values())
+                .sort((a, b) => (b.time || Infinity) - (a.time || Infinity));
             
             console.log(`Loaded ${this.transactions.length} transactions`);
             return this.transactions;
@@ -665,308 +1590,1923 @@ class WoofWallet {
     }
 
     /**
-     * Refresh inscriptions (doginals)
+     * Whether a history transaction paid into this wallet without spending from it
+     */
+    isIncomingTransaction(tx) {
+        const ownsAny = addresses => addresses && addresses.some(address => this.isOwnAddress(address));
+        return tx.outputs.some(out => ownsAny(out.addresses)) && !tx.inputs.some(inp => ownsAny(inp.addresses));
+    }
+
+    /**
+     * Get the label, category and notes of a transaction
+     * Notes default to the memo our own sends were journaled with
+     */
+    getTransactionLabel(txid) {
+        const saved = this.transactionLabels[txid];
+        if (saved) {
+            return { ...saved };
+        }
+
+        const entry = this.journal.find(item => item.txid === txid);
+        return { label: '', category: '', notes: (entry && entry.memo) || '' };
+    }
+
+    /**
+     * Label, categorise and annotate a transaction (all empty removes it)
+     */
+    async setTransactionLabel(txid, { label = '', category = '', notes = '' } = {}) {
+        try {
+            const entry = { label: label.trim(), category: category.trim(), notes: notes.trim() };
+            if (entry.label || entry.category || entry.notes) {
+                this.transactionLabels[txid] = entry;
+            } else {
+                delete this.transactionLabels[txid];
+            }
+            await this.accountStorage.set('tx_labels', this.transactionLabels);
+            return true;
+        } catch (error) {
+            console.error('Failed to label transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Suggested categories followed by any custom ones already in use
+     */
+    getTransactionCategories() {
+        const used = Object.values(this.transactionLabels).map(entry => entry.category).filter(Boolean);
+        return [...new Set([...TRANSACTION_CATEGORIES, ...used])];
+    }
+
+    /**
+     * History transactions whose txid, label, category or notes contain the query
+     */
+    searchTransactions(query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) {
+            return this.transactions;
+        }
+
+        return this.transactions.filter(tx => {
+            const { label, category, notes } = this.getTransactionLabel(tx.txid);
+            return [tx.txid, label, category, notes].some(field => field.toLowerCase().includes(needle));
+        });
+    }
+
+    /**
+     * Export the loaded history with labels, categories and notes as CSV
+     */
+    exportHistoryCSV() {
+        const rows = this.transactions.map(tx => {
+            const { label, category, notes } = this.getTransactionLabel(tx.txid);
+            const incoming = this.isIncomingTransaction(tx);
+            return [
+                tx.time ? new Date(tx.time * 1000).toISOString() : 'pending',
+                tx.txid,
+                incoming ? 'received' : 'sent',
+                ((incoming ? 1 : -1) * tx.value / DOGE_SATOSHIS).toFixed(8),
+                label,
+                category,
+                notes
+            ];
+        });
+
+        return [['date', 'txid', 'direction', 'amount_doge', 'label', 'category', 'notes'], ...rows]
+            .map(row => row.map(csvField).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Refresh inscriptions (doginals)
+     */
+    async refreshInscriptions() {
+        try {
+            if (!this.hasWatchAddress()) {
+                throw new Error('No wallet credentials loaded');
+            }
+
+            console.log('Refreshing inscriptions...');
+            
+            const address = this.getAddress();
+            this.inscriptions = await walletAPI.getAddressInscriptions(address, this.utxos);
+            
+            console.log(`Found ${Object.keys(this.inscriptions).length} inscriptions`);
+            return this.inscriptions;
+        } catch (error) {
+            console.error('Failed to refresh inscriptions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Refresh DRC-20 token balances, summed per tick over every address of the account
+     */
+    async refreshTokens() {
+        try {
+            if (!this.hasWatchAddress()) {
+                throw new Error('No wallet credentials loaded');
+            }
+
+            const addresses = this.getAddresses();
+            const balances = await Promise.all(addresses.map(address => walletAPI.getTokenBalances(address)));
+
+            const tokens = new Map();
+            balances.forEach((items, index) => {
+                items.forEach(item => {
+                    const key = item.tick.toLowerCase();
+                    const token = tokens.get(key) ||
+                        { tick: item.tick, available: '0', transferable: '0', total: '0', addresses: [], balances: [] };
+                    token.available = addTokenAmounts(token.available, item.available);
+                    token.transferable = addTokenAmounts(token.transferable, item.transferable);
+                    token.total = addTokenAmounts(token.total, item.total);
+                    token.addresses.push(addresses[index]);
+                    // A transfer is inscribed to one address and can only move that address's balance
+                    token.balances.push({ address: addresses[index], available: item.available, transferable: item.transferable });
+                    tokens.set(key, token);
+                });
+            });
+
+            this.tokens = [...tokens.values()].sort((a, b) => a.tick.localeCompare(b.tick));
+            console.log(`Found ${this.tokens.length} DRC-20 tokens`);
+            return this.tokens;
+        } catch (error) {
+            console.error('Failed to refresh tokens:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the deploy details of a token and the mint/transfer history of the account's addresses holding it, newest first
+     */
+    async getTokenDetails(tick) {
+        try {
+            const token = this.tokens.find(item => item.tick.toLowerCase() === tick.toLowerCase());
+            if (!token) {
+                throw new Error(`No ${tick} balance in this wallet`);
+            }
+
+            const [info, histories] = await Promise.all([
+                walletAPI.getTokenInfo(token.tick),
+                Promise.all(token.addresses.map(address => walletAPI.getTokenHistory(address, token.tick)))
+            ]);
+
+            // An inscription moving tokens between two of our addresses shows up in both histories
+            const seen = new Set();
+            const history = histories.flat().filter(entry => {
+                const key = `${entry.inscriptionId || entry.txid}:${entry.type}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            }).sort((a, b) => (b.time || 0) - (a.time || 0));
+
+            return { token, info, history };
+        } catch (error) {
+            console.error('Failed to load token details:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an inscription the wallet holds, including our own new ones the indexer has not picked up yet
+     */
+    findInscription(inscriptionId) {
+        const indexed = this.inscriptions[`inscription_${inscriptionId}`];
+        if (indexed) {
+            return indexed;
+        }
+
+        const job = this.inscriptionJobs.find(item => item.inscriptionId === inscriptionId &&
+            (item.status === 'revealed' || item.status === 'confirmed'));
+        const utxo = job && this.utxos.find(item => `${item.txid}:${item.vout}` === job.outpoint);
+        if (!utxo) {
+            return null;
+        }
+
+        // A reveal pays its single output, so the inscription is on its first sat
+        return {
+            id: inscriptionId,
+            outpoint: job.outpoint,
+            satpoint: `${job.outpoint}:0`,
+            offset: 0,
+            content: { type: 'text', contentType: job.contentType, data: job.drc20 ? JSON.stringify(job.drc20) : '' },
+            metadata: {},
+            utxo
+        };
+    }
+
+    /**
+     * Get safe UTXOs (without inscriptions)
+     * options.strict makes an inscription lookup error abort instead of counting the coin as safe
+     */
+    async getSafeUTXOs(options = {}) {
+        try {
+            if (!this.hasWatchAddress()) {
+                throw new Error('No wallet credentials loaded');
+            }
+
+            const address = this.getAddress();
+
+            // Coins spent by our own unconfirmed transactions may still be listed by the API
+            const pendingSpent = this.getPendingSpentOutpoints();
+            const unspent = this.utxos.filter(utxo => !pendingSpent.has(outpointOf(utxo)));
+
+            // Our own new inscriptions, and inscriptions we just moved, may not be indexed yet
+            const inscribing = new Set([
+                ...this.inscriptionJobs.map(job => job.outpoint),
+                ...this.getJournalInscriptionOutpoints()
+            ]);
+            const result = await walletAPI.getSafeUTXOs(address, unspent.filter(utxo => !inscribing.has(outpointOf(utxo))), options);
+            result.withInscriptions = [
+                ...result.withInscriptions,
+                ...unspent.filter(utxo => inscribing.has(outpointOf(utxo)))
+            ];
+
+            // Frozen coins are never picked by automatic selection
+            const frozen = result.safe.filter(utxo => this.isFrozen(outpointOf(utxo)));
+            result.safe = result.safe.filter(utxo => !this.isFrozen(outpointOf(utxo)));
+            result.frozen = frozen;
+            
+            console.log(`Safe UTXOs: ${result.safe.length}, With inscriptions: ${result.withInscriptions.length}, Frozen: ${frozen.length}`);
+            
+            return result;
+        } catch (error) {
+            console.error('Failed to get safe UTXOs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an outpoint is frozen
+     */
+    isFrozen(outpoint) {
+        return this.frozenOutpoints.includes(outpoint);
+    }
+
+    /**
+     * Freeze or unfreeze an outpoint
+     */
+    async setFrozen(outpoint, frozen) {
+        try {
+            this.frozenOutpoints = this.frozenOutpoints.filter(item => item !== outpoint);
+            if (frozen) {
+                this.frozenOutpoints.push(outpoint);
+            }
+            await this.accountStorage.set('frozen_utxos', this.frozenOutpoints);
+            return true;
+        } catch (error) {
+            console.error('Failed to update frozen coins:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Label an outpoint (an empty label removes it)
+     */
+    async setUTXOLabel(outpoint, label) {
+        try {
+            const trimmed = (label || '').trim();
+            if (trimmed) {
+                this.utxoLabels[outpoint] = trimmed;
+            } else {
+                delete this.utxoLabels[outpoint];
+            }
+            await this.accountStorage.set('utxo_labels', this.utxoLabels);
+            return true;
+        } catch (error) {
+            console.error('Failed to label coin:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List every UTXO with its coin control state
+     */
+    async getCoinControlList() {
+        try {
+            const { safe, frozen, withInscriptions } = await this.getSafeUTXOs();
+            const entry = (utxo, hasInscriptions) => ({
+                ...utxo,
+                outpoint: outpointOf(utxo),
+                hasInscriptions,
+                frozen: this.isFrozen(outpointOf(utxo)),
+                label: this.utxoLabels[outpointOf(utxo)] || ''
+            });
+
+            return [
+                ...safe.map(utxo => entry(utxo, false)),
+                ...frozen.map(utxo => entry(utxo, false)),
+                ...withInscriptions.map(utxo => entry(utxo, true))
+            ].sort((a, b) => b.satoshis - a.satoshis);
+        } catch (error) {
+            console.error('Failed to list coins:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve hand-picked outpoints to spendable UTXOs
+     */
+    resolveManualInputs(outpoints, spendableUTXOs) {
+        return outpoints.map(outpoint => {
+            const utxo = spendableUTXOs.find(candidate => outpointOf(candidate) === outpoint);
+            if (!utxo) {
+                throw new Error(`Coin ${outpoint} cannot be spent (frozen, inscription-bearing or already spent)`);
+            }
+            return utxo;
+        });
+    }
+
+    /**
+     * Get current wallet balance
+     */
+    getBalance() {
+        return this.balance;
+    }
+
+    /**
+     * Calculate available balance for sending (excluding inscription UTXOs)
+     */
+    async getAvailableBalance() {
+        try {
+            const { safe } = await this.getSafeUTXOs();
+            const availableSatoshis = safe.reduce((total, utxo) => total + utxo.satoshis, 0);
+            return availableSatoshis / DOGE_SATOSHIS; // Convert to DOGE
+        } catch (error) {
+            console.error('Failed to calculate available balance:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get slow / normal / fast fee rates in sat/byte
+     */
+    async getFeeEstimates() {
+        return walletAPI.getFeeEstimates();
+    }
+
+    /**
+     * Get the fee rate of a preset (slow, normal or fast)
+     */
+    async getFeeRate(preset = 'normal') {
+        const estimates = await this.getFeeEstimates();
+        if (!estimates[preset]) {
+            throw new Error(`Unknown fee preset: ${preset}`);
+        }
+        return estimates[preset];
+    }
+
+    /**
+     * Persist the fee rate used when the estimate endpoint is unavailable
+     */
+    async setFallbackFeeRate(feeRate) {
+        try {
+            walletAPI.setFallbackFeeRate(feeRate);
+            await walletStorage.set('fee_fallback_rate', walletAPI.fallbackFeeRate);
+            return true;
+        } catch (error) {
+            console.error('Failed to set fallback fee rate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Estimate the fee in satoshis for a transaction shape at a sat/byte rate
+     */
+    estimateFee(inputCount, outputCount, feeRate) {
+        return coinSelector.estimateFee(inputCount, outputCount, feeRate);
+    }
+
+    /**
+     * Select inputs for a payment and report its fee, change and waste
+     * options.strategy names a coinSelector strategy (largest-first by default);
+     * options.inputs lists hand-picked outpoints, which are all spent and nothing else;
+     * options.sweep spends every coin and reports the amount left after the fee as target
+     */
+    planTransaction(utxos, targetSatoshis, feeRate, { preselected = [], outputCount = 1, strategy, inputs = null, sweep = false } = {}) {
+        if (!feeRate || feeRate < walletAPI.minFeeRate) {
+            throw new Error(`Fee rate must be at least ${walletAPI.minFeeRate} sat/byte`);
+        }
+
+        if (inputs && inputs.length > 0) {
+            preselected = [...preselected, ...this.resolveManualInputs(inputs, utxos)];
+            utxos = [];
+        }
+
+        if (sweep) {
+            return coinSelector.sweep(utxos, {
+                feeRate,
+                longTermFeeRate: walletAPI.minFeeRate,
+                dustLimit: Transaction.DUST_AMOUNT,
+                outputCount,
+                preselected
+            });
+        }
+
+        return coinSelector.select(utxos, {
+            target: targetSatoshis,
+            feeRate,
+            longTermFeeRate: walletAPI.minFeeRate,
+            dustLimit: Transaction.DUST_AMOUNT,
+            outputCount,
+            preselected,
+            strategy
+        });
+    }
+
+    /**
+     * Send DOGE safely (avoiding inscription UTXOs)
+     * options.feeRate (sat/byte) overrides options.feePreset (slow, normal or fast);
+     * options.strategy picks the coin selection strategy and options.inputs hand-picks outpoints;
+     * options.max ignores amountDoge and sends every safe UTXO minus the fee
+     */
+    async sendDoge(toAddress, amountDoge, options = {}) {
+        // Validate inputs
+        if (!Address.isValid(toAddress)) {
+            throw new Error('Invalid recipient address');
+        }
+
+        if (!options.max && amountDoge <= 0) {
+            throw new Error('Amount must be greater than 0');
+        }
+
+        return this.sendMany([{ address: toAddress, amount: amountDoge }], options);
+    }
+
+    /**
+     * Validate a list of {address, amount} recipients (amount in DOGE) and convert to satoshis
+     */
+    normalizeRecipients(recipients, { requireAmount = true } = {}) {
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+
+        const errors = [];
+        const outputs = recipients.map((recipient, index) => {
+            const address = String(recipient.address || '').trim();
+            const amount = Number(recipient.amount);
+            const satoshis = Math.round(amount * DOGE_SATOSHIS);
+
+            if (!Address.isValid(address)) {
+                errors.push(`Recipient ${index + 1}: invalid address "${address}"`);
+            } else if (!requireAmount) {
+                return { address, satoshis: 0 };
+            } else if (!Number.isFinite(amount) || amount <= 0) {
+                errors.push(`Recipient ${index + 1}: amount must be greater than 0`);
+            } else if (satoshis < Transaction.DUST_AMOUNT) {
+                errors.push(`Recipient ${index + 1}: amount is below the ${Transaction.DUST_AMOUNT / DOGE_SATOSHIS} DOGE dust limit`);
+            }
+
+            return { address, satoshis };
+        });
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        return outputs;
+    }
+
+    /**
+     * Validate recipients, select coins and size the single fee of a (batch) payment
+     * Takes the same options as sendDoge
+     */
+    async prepareSendMany(recipients, options = {}) {
+        if (options.max && recipients.length !== 1) {
+            throw new Error('Max can only be sent to a single recipient');
+        }
+
+        const outputs = this.normalizeRecipients(recipients, { requireAmount: !options.max });
+        const feeRate = options.feeRate || await this.getFeeRate(options.feePreset || 'normal');
+        let totalSatoshis = outputs.reduce((total, output) => total + output.satoshis, 0);
+
+        // Get safe UTXOs (without inscriptions)
+        const { safe: safeUTXOs } = await this.getSafeUTXOs();
+        
+        if (safeUTXOs.length === 0) {
+            throw new Error('No safe UTXOs available for spending');
+        }
+
+        // Select UTXOs and size the fee for the resulting transaction
+        const plan = this.planTransaction(safeUTXOs, totalSatoshis, feeRate, {
+            outputCount: outputs.length,
+            strategy: options.strategy,
+            inputs: options.inputs,
+            sweep: !!options.max
+        });
+
+        // Max sends whatever is left once the fee is paid
+        if (options.max) {
+            outputs[0].satoshis = plan.target;
+            totalSatoshis = plan.target;
+        }
+
+        return { outputs, totalSatoshis, feeRate, plan };
+    }
+
+    /**
+     * Send DOGE to many recipients in one transaction with a single fee
+     * Takes the same options as sendDoge
+     */
+    async sendMany(recipients, options = {}) {
+        try {
+            const draft = await this.createSendDraft(recipients, options);
+            return await this.broadcastDraft(draft);
+        } catch (error) {
+            console.error('Failed to send DOGE:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a doginal (inscription)
+     * options.feeRate (sat/byte) overrides options.feePreset (slow, normal or fast);
+     * options.strategy picks the coin selection strategy for the funding inputs
+     */
+    async sendDoginal(inscriptionId, toAddress, options = {}) {
+        try {
+            const draft = await this.createDoginalDraft(inscriptionId, toAddress, options);
+            return await this.broadcastDraft(draft);
+        } catch (error) {
+            console.error('Failed to send doginal:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build an unsigned draft paying recipients, for review before it is signed
+     * Takes the same recipients and options as sendMany; needs no keys, so a locked wallet can draft for offline signing
+     */
+    async createSendDraft(recipients, options = {}) {
+        try {
+            const { outputs, totalSatoshis, feeRate, plan } = await this.prepareSendMany(recipients, options);
+
+            console.log(`Drafting ${totalSatoshis / DOGE_SATOSHIS} DOGE to ${outputs.length} recipient(s) at ${feeRate} sat/byte`);
+
+            const draft = await this.buildDraft('send', plan, outputs);
+            if (options.memo) {
+                draft.memo = options.memo;
+            }
+            return draft;
+        } catch (error) {
+            console.error('Failed to create send draft:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build an unsigned draft moving an inscription, for review before it is signed
+     * Takes the same arguments as sendDoginal
+     */
+    async createDoginalDraft(inscriptionId, toAddress, options = {}) {
+        try {
+            console.log(`Drafting doginal ${inscriptionId} to ${toAddress}`);
+
+            // Validate address
+            if (!Address.isValid(toAddress)) {
+                throw new Error('Invalid recipient address');
+            }
+
+            // Find the inscription
+            const inscription = this.findInscription(inscriptionId);
+            if (!inscription) {
+                throw new Error('Inscription not found in wallet');
+            }
+
+            // Get the UTXO containing the inscription
+            const inscriptionUTXO = inscription.utxo;
+            if (!inscriptionUTXO) {
+                throw new Error('Inscription UTXO not found');
+            }
+
+            // Check if this output has multiple inscriptions
+            const outpointInscriptions = Object.values(this.inscriptions)
+                .filter(insc => insc.outpoint === inscription.outpoint);
+            
+            if (outpointInscriptions.length > 1) {
+                throw new Error('Cannot send doginal from output with multiple inscriptions; split the output first');
+            }
+
+            if (this.getPendingSpentOutpoints().has(inscription.outpoint)) {
+                throw new Error('This inscription is already being sent in a pending transaction');
+            }
+
+            const offset = this.getInscriptionOffset(inscription);
+            if (offset === null || offset >= inscriptionUTXO.satoshis) {
+                throw new Error('The position of this inscription in its output is not known; refresh and try again');
+            }
+
+            // Get funding UTXOs (safe UTXOs for fees)
+            const { safe: fundingUTXOs } = await this.getSafeUTXOs();
+            
+            if (fundingUTXOs.length === 0) {
+                throw new Error('No funding UTXOs available for transaction fees');
+            }
+
+            // Sats move first-in first-out and the inscription input comes first: the sats ahead of the
+            // inscribed one come back to us when they can make an output of their own, otherwise they
+            // ride along at the front of the recipient's dust output
+            const padding = offset >= Transaction.DUST_AMOUNT ? offset : 0;
+            const feeRate = options.feeRate || await this.getFeeRate(options.feePreset || 'normal');
+            const plan = this.planTransaction(fundingUTXOs, padding + Transaction.DUST_AMOUNT, feeRate, {
+                preselected: [inscriptionUTXO],
+                outputCount: padding > 0 ? 2 : 1,
+                strategy: options.strategy
+            });
+
+            const changeAddress = padding > 0 || plan.change > 0 ? await this.getChangeAddress() : null;
+            const draft = this.assembleDraft('doginal', plan, [
+                ...(padding > 0 ? [{ address: changeAddress, satoshis: padding, change: true }] : []),
+                { address: toAddress, satoshis: Transaction.DUST_AMOUNT, change: false },
+                ...(plan.change > 0 ? [{ address: changeAddress, satoshis: plan.change, change: true }] : [])
+            ]);
+
+            const recipientIndex = padding > 0 ? 1 : 0;
+            draft.inscriptionId = inscriptionId;
+            draft.outputs[recipientIndex].inscriptions = [inscriptionId];
+            draft.inscribedSats = [{ inscriptionId, outpoint: inscription.outpoint, offset, outputIndex: recipientIndex }];
+            this.checkInscribedSats(draft);
+
+            return draft;
+        } catch (error) {
+            console.error('Failed to create doginal draft:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build an unsigned draft that gives every inscription in an outpoint its own dust output,
+     * returning the padding between and after them to the spendable pool; each doginal can then be sent on its own
+     * options are those of sendDoginal
+     */
+    async createSplitDraft(outpoint, options = {}) {
+        try {
+            const inscriptions = Object.values(this.inscriptions).filter(inscription => inscription.outpoint === outpoint);
+            if (inscriptions.length === 0) {
+                throw new Error('No inscriptions found in that output');
+            }
+            if (this.getPendingSpentOutpoints().has(outpoint)) {
+                throw new Error('This output is already being spent in a pending transaction');
+            }
+
+            const located = inscriptions.map(inscription => ({ id: inscription.id, offset: this.getInscriptionOffset(inscription) }));
+            const unknown = located.find(item => item.offset === null);
+            if (unknown) {
+                throw new Error(`The position of inscription ${unknown.id} in its output is not known; refresh and try again`);
+            }
+
+            const utxo = inscriptions[0].utxo;
+            const { segments, end } = this.layoutInscriptionSplit(located);
+            if (segments.length === 1 && utxo.satoshis - end < Transaction.DUST_AMOUNT) {
+                throw new Error('Nothing to split: this output holds a single inscription and no spare DOGE');
+            }
+
+            console.log(`Drafting split of ${outpoint} into ${segments.length} outputs`);
+
+            // The inscription input comes first so its sats fill the outputs in order
+            const { safe: fundingUTXOs } = await this.getSafeUTXOs();
+            const feeRate = options.feeRate || await this.getFeeRate(options.feePreset || 'normal');
+            const plan = this.planTransaction(fundingUTXOs, end, feeRate, {
+                preselected: [utxo],
+                outputCount: segments.length,
+                strategy: options.strategy
+            });
+
+            const paddingAddress = await this.getChangeAddress();
+            const draft = await this.buildDraft('split', plan, segments.map(segment => ({
+                address: segment.inscriptions.length > 0 ? utxo.address : paddingAddress,
+                satoshis: segment.satoshis
+            })));
+            draft.inputs[0].inscriptions = inscriptions.map(inscription => inscription.id);
+            segments.forEach((segment, index) => {
+                if (segment.inscriptions.length > 0) {
+                    draft.outputs[index].inscriptions = segment.inscriptions;
+                }
+            });
+            draft.inscribedSats = located.map(({ id, offset }) => ({
+                inscriptionId: id,
+                outpoint,
+                offset,
+                outputIndex: segments.findIndex(segment => segment.inscriptions.includes(id))
+            }));
+            this.checkInscribedSats(draft);
+
+            return this.markSelfDraft(draft, { splitOutpoint: outpoint });
+        } catch (error) {
+            console.error('Failed to create split draft:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Offset of an inscription's sat within its output, or null if the indexer has not reported it
+     */
+    getInscriptionOffset(inscription) {
+        if (Number.isInteger(inscription.offset)) {
+            return inscription.offset;
+        }
+        return walletAPI.getInscriptionOffset(inscription.outpoint, inscription.metadata);
+    }
+
+    /**
+     * Lay out the outputs splitting inscriptions at the given offsets (sats move first-in first-out)
+     * Each inscription gets a dust output; a gap of at least dust before one becomes a padding output,
+     * a smaller gap rides along in front of it. Returns the segments and the sats they use
+     */
+    layoutInscriptionSplit(located) {
+        const dust = Transaction.DUST_AMOUNT;
+        const sorted = [...located].sort((a, b) => a.offset - b.offset);
+        const segments = [];
+        let start = 0;
+
+        sorted.forEach(({ id, offset }, index) => {
+            if (offset - start >= dust) {
+                segments.push({ satoshis: offset - start, inscriptions: [] });
+                start = offset;
+            }
+
+            const end = Math.max(start + dust, offset + 1);
+            const next = sorted[index + 1];
+            if (next && end > next.offset) {
+                throw new Error(`Inscriptions ${id} and ${next.id} are ${next.offset - offset} sats apart, ` +
+                    `too close to give each its own ${dust / DOGE_SATOSHIS} DOGE output`);
+            }
+
+            segments.push({ satoshis: end - start, inscriptions: [id] });
+            start = end;
+        });
+
+        return { segments, end: start };
+    }
+
+    /**
+     * Assemble the unsigned transaction for a plan and describe every input and output
+     */
+    async buildDraft(type, plan, outputs) {
+        // Add change output if needed
+        let changeAddress = null;
+        if (plan.change > 0) {
+            changeAddress = await this.getChangeAddress();
+        }
+
+        return this.assembleDraft(type, plan, [
+            ...outputs.map(output => ({ address: output.address, satoshis: output.satoshis, change: false })),
+            ...(changeAddress ? [{ address: changeAddress, satoshis: plan.change, change: true }] : [])
+        ]);
+    }
+
+    /**
+     * Build the unsigned transaction for a plan's inputs and the given outputs (change included)
+     */
+    assembleDraft(type, plan, outputs) {
+        const tx = new Transaction();
+
+        plan.inputs.forEach(utxo => {
+            tx.from({
+                txid: utxo.txid,
+                vout: utxo.vout,
+                scriptPubKey: utxo.script,
+                satoshis: utxo.satoshis
+            });
+        });
+
+        outputs.forEach(output => tx.to(output.address, output.satoshis));
+
+        // Set fee
+        tx.fee(plan.fee);
+
+        // Signal replace-by-fee so a stuck send can be cancelled later
+        tx.enableRBF();
+
+        const sum = list => list.reduce((total, output) => total + output.satoshis, 0);
+        const changeOutputs = outputs.filter(output => output.change);
+
+        return {
+            type,
+            tx,
+            plan,
+            inputs: plan.inputs.map(utxo => ({
+                outpoint: outpointOf(utxo),
+                address: utxo.address || this.getAddress(),
+                satoshis: utxo.satoshis,
+                inscriptions: Object.values(this.inscriptions)
+                    .filter(inscription => inscription.outpoint === outpointOf(utxo))
+                    .map(inscription => inscription.id)
+            })),
+            outputs,
+            totalSatoshis: sum(outputs.filter(output => !output.change)),
+            changeAddress: changeOutputs.length > 0 ? changeOutputs[changeOutputs.length - 1].address : null,
+            change: sum(changeOutputs),
+            fee: plan.fee,
+            feeRate: plan.feeRate,
+            size: plan.size,
+            signed: false
+        };
+    }
+
+    /**
+     * Check that every inscribed sat a draft moves lands in the output meant for it, never in change or the fee
+     * Sats move first-in first-out, so a sat's position across the inputs is its position across the outputs
+     * and anything past the last output is paid as fee
+     */
+    checkInscribedSats(draft) {
+        (draft.inscribedSats || []).forEach(({ inscriptionId, outpoint, offset, outputIndex }) => {
+            const inputIndex = draft.tx.inputs.findIndex(input =>
+                `${input.prevTxId.toString('hex')}:${input.outputIndex}` === outpoint);
+            if (inputIndex === -1) {
+                throw new Error(`Inscription ${inscriptionId} is not spent by this transaction`);
+            }
+
+            const position = draft.tx.inputs.slice(0, inputIndex)
+                .reduce((total, input) => total + input.output.satoshis, offset);
+
+            let start = 0;
+            const landing = draft.tx.outputs.findIndex(output => {
+                start += output.satoshis;
+                return position < start;
+            });
+
+            if (landing === -1) {
+                throw new Error(`Inscription ${inscriptionId} would be paid to the network as fee`);
+            }
+
+            // Compare with the transaction itself, not just the draft's description of it
+            const expected = draft.outputs[outputIndex];
+            const landed = draft.tx.outputs[landing];
+            const landedAddress = landed.script.toAddress().toString();
+            if (landing !== outputIndex || landedAddress !== expected.address || landed.satoshis !== expected.satoshis) {
+                const isChange = draft.outputs.some(output => output.change && !output.inscriptions && output.address === landedAddress);
+                throw new Error(`Inscription ${inscriptionId} would land in ${isChange ? 'change' : 'another output'} ` +
+                    `(output ${landing}) instead of the output to ${expected.address}`);
+            }
+        });
+    }
+
+    /**
+     * Sign a reviewed draft with the keys of its inputs
+     */
+    signDraft(draft) {
+        if (!draft.signed) {
+            // Refuse to sign anything that would drop an inscription into change or the fee
+            this.checkInscribedSats(draft);
+
+            // Inputs of a swept key are signed with that key, the rest with this wallet's keys
+            const externalKeys = draft.externalKeys || [];
+            const externalAddresses = new Set(externalKeys.map(key => key.toAddress().toString()));
+            const ownInputs = draft.plan.inputs.filter(utxo => !externalAddresses.has(utxo.address));
+
+            if (ownInputs.length > 0) {
+                this.requireUnlocked();
+            }
+            draft.tx.sign([...(ownInputs.length > 0 ? this.getSigningKeys(ownInputs) : []), ...externalKeys]);
+            draft.hex = draft.tx.toString();
+            draft.txid = draft.tx.hash;
+            draft.signed = true;
+        }
+
+        console.log('Transaction signed:', {
+            txid: draft.txid,
+            size: draft.hex.length / 2,
+            estimatedSize: draft.size,
+            inputs: draft.inputs.length,
+            outputs: draft.outputs.length,
+            fee: draft.fee / DOGE_SATOSHIS,
+            strategy: draft.plan.strategy,
+            waste: draft.plan.waste
+        });
+
+        return draft;
+    }
+
+    /**
+     * Sign (if needed) and broadcast a reviewed draft
+     */
+    async broadcastDraft(draft) {
+        try {
+            this.signDraft(draft);
+
+            // Journal the signed hex first so it survives a failed or interrupted broadcast
+            const entry = await this.recordJournalEntry(draft);
+
+            // Broadcast transaction
+            let txid;
+            try {
+                txid = await walletAPI.broadcastTransaction(draft.hex);
+            } catch (error) {
+                await this.updateJournalEntry(entry, { status: 'failed', error: error.message });
+                throw error;
+            }
+            
+            console.log('Transaction broadcast successfully:', txid);
+
+            await this.markBroadcast(entry);
+            
+            // Refresh wallet data
+            setTimeout(() => {
+                this.refreshAll();
+            }, 2000);
+
+            return txid;
+        } catch (error) {
+            console.error('Failed to broadcast transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Serialize an unsigned draft with the UTXO data and derivation paths an offline signer needs
+     * The bundle is remembered so the signed transaction can be matched to it on import
+     */
+    async exportUnsignedBundle(draft) {
+        try {
+            if (draft.externalKeys) {
+                throw new Error('A sweep is signed with the swept key on this device and cannot be exported');
+            }
+            if (draft.inscription) {
+                throw new Error('An inscription is signed together with its reveal chain on this device and cannot be exported');
+            }
+
+            // Legacy signatures do not commit to input amounts, so the signer gets the previous
+            // transactions to check them against; an input whose transaction cannot be fetched is flagged there
+            const prevTxs = await Promise.all(draft.plan.inputs.map(utxo =>
+                walletAPI.getTransactionHex(utxo.txid).catch(() => null)));
+
+            const bundle = {
+                format: UNSIGNED_BUNDLE_FORMAT,
+                version: OFFLINE_BUNDLE_VERSION,
+                type: draft.type,
+                account: this.activeAccount,
+                hex: draft.tx.toString(),
+                inputs: draft.plan.inputs.map((utxo, index) => ({
+                    txid: utxo.txid,
+                    vout: utxo.vout,
+                    address: utxo.address || this.getAddress(),
+                    script: utxo.script,
+                    satoshis: utxo.satoshis,
+                    path: this.getAddressPath(utxo.address || this.getAddress()),
+                    prevTx: prevTxs[index]
+                })),
+                outputs: draft.outputs.map(output => ({
+                    ...output,
+                    path: output.change ? this.getAddressPath(output.address) : null
+                })),
+                fee: draft.fee,
+                feeRate: draft.feeRate,
+                size: draft.size,
+                parentTxid: draft.parentTxid || null,
+                replaces: draft.replaces || null,
+                inscribedSats: draft.inscribedSats || [],
+                createdAt: Date.now()
+            };
+
+            // The copy kept for matching the signed transaction does not need the previous transactions
+            const bundles = (await this.accountStorage.get('offline_bundles')) || [];
+            bundles.push({ ...bundle, inputs: bundle.inputs.map(({ prevTx, ...input }) => input) });
+            await this.accountStorage.set('offline_bundles', bundles.slice(-MAX_OFFLINE_BUNDLES));
+
+            return bundle;
+        } catch (error) {
+            console.error('Failed to export unsigned bundle:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rebuild a draft from an unsigned bundle on the signing machine and check it belongs to this account
+     */
+    openUnsignedBundle(bundle) {
+        if (!bundle || bundle.format !== UNSIGNED_BUNDLE_FORMAT || bundle.version !== OFFLINE_BUNDLE_VERSION) {
+            throw new Error('Not an unsigned Woof Wallet transaction bundle');
+        }
+
+        const verified = this.verifyBundleInputs(bundle);
+        const fee = this.getBundleFee(bundle, new Transaction(bundle.hex));
+        const plan = {
+            inputs: bundle.inputs.map(({ prevTx, ...input }) => input),
+            fee,
+            feeRate: Math.round(fee / bundle.size),
+            size: bundle.size,
+            strategy: 'offline',
+            waste: 0
+        };
+        const draft = this.assembleDraft(bundle.type, plan, bundle.outputs.map(output => ({ ...output })));
+
+        // What gets signed is rebuilt from the bundle's details, so they must match its transaction
+        if (draft.tx.toString() !== bundle.hex) {
+            throw new Error('Bundle details do not match its transaction');
+        }
+        draft.inputs.forEach((input, index) => { input.amountVerified = verified[index]; });
+
+        // Never trust the online machine's word that an input or change output is ours
+        bundle.inputs.forEach(input => {
+            if (!this.resolveAddressPath(input.address, input.path) && input.address !== this.getAddress()) {
+                throw new Error(`Input ${input.txid}:${input.vout} is not from this wallet account`);
+            }
+        });
+        bundle.outputs.filter(output => output.change).forEach(output => {
+            if (!this.resolveAddressPath(output.address, output.path) && output.address !== this.getAddress()) {
+                throw new Error(`Change output to ${output.address} is not an address of this wallet account`);
+            }
+        });
+
+        draft.parentTxid = bundle.parentTxid;
+        draft.replaces = bundle.replaces;
+        draft.inscribedSats = bundle.inscribedSats || [];
+        return draft;
+    }
+
+    /**
+     * Fee a bundle's transaction actually pays: what its inputs spend minus what its outputs pay
+     * A bundle stating any other fee is rejected
+     */
+    getBundleFee(bundle, tx) {
+        const spent = bundle.inputs.reduce((total, input) => total + input.satoshis, 0);
+        const paid = tx.outputs.reduce((total, output) => total + output.satoshis, 0);
+        const fee = spent - paid;
+
+        if (fee < 0) {
+            throw new Error('Bundle outputs pay more than its inputs spend');
+        }
+        if (fee !== bundle.fee) {
+            throw new Error(`Bundle states a fee of ${bundle.fee} sats but its transaction pays ${fee} sats`);
+        }
+        return fee;
+    }
+
+    /**
+     * Check each bundle input's amount and script against its previous transaction, when the bundle carries it
+     * Returns whether each input was verified; the rest are amounts taken on the online machine's word
+     */
+    verifyBundleInputs(bundle) {
+        return bundle.inputs.map(input => {
+            if (!input.prevTx) {
+                return false;
+            }
+
+            const prevTx = new Transaction(input.prevTx);
+            const output = prevTx.outputs[input.vout];
+            if (prevTx.hash !== input.txid || !output) {
+                throw new Error(`Previous transaction for input ${input.txid}:${input.vout} does not match it`);
+            }
+            if (output.satoshis !== input.satoshis || output.script.toHex() !== input.script) {
+                throw new Error(`Input ${input.txid}:${input.vout} does not hold the amount or script the bundle claims`);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Serialize a signed draft for the trip back to the online machine
+     */
+    exportSignedTransaction(draft) {
+        return { format: SIGNED_TX_FORMAT, version: OFFLINE_BUNDLE_VERSION, txid: draft.txid, hex: draft.hex };
+    }
+
+    /**
+     * Validate a signed transaction (exported JSON or raw hex) against the bundle it was signed from
+     * Returns a signed draft ready for review and broadcastDraft
+     */
+    async openSignedTransaction(payload) {
+        try {
+            let hex = String(payload || '').trim();
+            if (hex.startsWith('{')) {
+                const parsed = JSON.parse(hex);
+                if (parsed.format !== SIGNED_TX_FORMAT) {
+                    throw new Error('Not a signed Woof Wallet transaction');
+                }
+                hex = parsed.hex;
+            }
+            if (!/^[0-9a-fA-F]+$/.test(hex)) {
+                throw new Error('Signed transaction is not valid hex');
+            }
+
+            const tx = new Transaction(hex);
+            const outpoints = tx.inputs.map(input => `${input.prevTxId.toString('hex')}:${input.outputIndex}`);
+            const outputs = tx.outputs.map(output => `${output.script.toAddress().toString()}:${output.satoshis}`);
+
+            const bundles = (await this.accountStorage.get('offline_bundles')) || [];
+            const bundle = bundles.find(candidate =>
+                candidate.inputs.map(outpointOf).join() === outpoints.join() &&
+                candidate.outputs.map(output => `${output.address}:${output.satoshis}`).join() === outputs.join());
+            if (!bundle) {
+                throw new Error('Signed transaction does not match any bundle exported from this account');
+            }
+
+            // Every input must carry a valid signature for the coin it spends
+            bundle.inputs.forEach((input, index) => {
+                const verified = new Script.Interpreter().verify(
+                    tx.inputs[index].script, new Script(input.script), tx, index,
+                    Script.Interpreter.SCRIPT_VERIFY_P2SH);
+                if (!verified) {
+                    throw new Error(`Input ${index + 1} is not signed correctly`);
+                }
+            });
+
+            const fee = this.getBundleFee(bundle, tx);
+            const draft = this.assembleDraft(bundle.type, {
+                inputs: bundle.inputs,
+                fee,
+                feeRate: Math.round(fee / (hex.length / 2)),
+                size: hex.length / 2,
+                strategy: 'offline',
+                waste: 0
+            }, bundle.outputs.map(({ path, ...output }) => output));
+
+            return Object.assign(draft, {
+                tx,
+                hex: tx.toString(),
+                txid: tx.hash,
+                signed: true,
+                parentTxid: bundle.parentTxid,
+                replaces: bundle.replaces
+            });
+        } catch (error) {
+            console.error('Failed to import signed transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Persist a signed draft in the journal before it is broadcast
+     */
+    async recordJournalEntry(draft) {
+        try {
+            const entry = {
+                txid: draft.txid,
+                type: draft.type,
+                hex: draft.hex,
+                inputs: draft.plan.inputs,
+                outputs: draft.outputs,
+                fee: draft.fee,
+                size: draft.hex.length / 2,
+                feeRate: draft.feeRate,
+                parentTxid: draft.parentTxid || null,
+                replaces: draft.replaces || null,
+                memo: draft.memo || null,
+                bumpedBy: null,
+                replacedBy: null,
+                status: 'signed',
+                error: null,
+                createdAt: Date.now(),
+                lastBroadcastAt: null,
+                rebroadcasts: 0
+            };
+
+            this.journal = this.journal.filter(item => item.txid !== entry.txid);
+            this.journal.push(entry);
+            await this.saveJournal();
+            return entry;
+        } catch (error) {
+            console.error('Failed to record journal entry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a journal entry as in the mempool, its change addresses as used, and link it to what it
+     * bumps or replaces
+     */
+    async markBroadcast(entry) {
+        for (const output of entry.outputs.filter(item => item.change)) {
+            await this.markAddressUsed(output.address);
+        }
+
+        // A cancel replaces the original and evicts its descendants; none of them can confirm now
+        const replaced = entry.replaces && this.journal.find(item => item.txid === entry.replaces);
+        if (replaced) {
+            [replaced, ...this.getPendingDescendants(replaced.txid)].forEach(item => {
+                item.status = 'replaced';
+                item.replacedBy = entry.txid;
+            });
+        }
+
+        const parent = entry.parentTxid && this.journal.find(item => item.txid === entry.parentTxid);
+        if (parent) {
+            parent.bumpedBy = entry.txid;
+        }
+
+        await this.updateJournalEntry(entry, { status: 'pending', error: null, lastBroadcastAt: Date.now() });
+    }
+
+    /**
+     * Apply changes to a journal entry and persist the journal
+     */
+    async updateJournalEntry(entry, changes) {
+        Object.assign(entry, changes);
+        await this.saveJournal();
+    }
+
+    /**
+     * Persist the journal, keeping every unsettled entry and the most recent settled ones
+     */
+    async saveJournal() {
+        const settled = this.journal.filter(entry => !JOURNAL_OPEN_STATUSES.includes(entry.status));
+        const dropSettled = new Set(settled.slice(0, Math.max(settled.length - JOURNAL_MAX_SETTLED, 0)));
+        this.journal = this.journal.filter(entry => !dropSettled.has(entry));
+        await this.accountStorage.set('tx_journal', this.journal);
+    }
+
+    /**
+     * List the journal, newest first
+     */
+    getJournal() {
+        return [...this.journal].reverse();
+    }
+
+    /**
+     * Outpoints spent by journal entries that have not settled yet
+     * They are kept out of coin selection until the API stops listing them
+     */
+    getPendingSpentOutpoints() {
+        const outpoints = new Set();
+        this.journal
+            .filter(entry => JOURNAL_OPEN_STATUSES.includes(entry.status))
+            .forEach(entry => entry.inputs.forEach(utxo => outpoints.add(outpointOf(utxo))));
+        return outpoints;
+    }
+
+    /**
+     * Open journal entries that spend a transaction's outputs, directly or through each other
+     * (e.g. its CPFP speed-up); replacing the transaction evicts them all
+     */
+    getPendingDescendants(txid) {
+        const descendants = [];
+        const parents = new Set([txid]);
+        let found = true;
+        while (found) {
+            found = false;
+            this.journal
+                .filter(entry => JOURNAL_OPEN_STATUSES.includes(entry.status) && !parents.has(entry.txid) &&
+                    entry.inputs.some(utxo => parents.has(utxo.txid)))
+                .forEach(entry => {
+                    descendants.push(entry);
+                    parents.add(entry.txid);
+                    found = true;
+                });
+        }
+        return descendants;
+    }
+
+    /**
+     * Outpoints our own transactions created carrying inscriptions, e.g. from a split or sweep
      */
-    async refreshInscriptions() {
+    getJournalInscriptionOutpoints() {
+        const outpoints = new Set();
+        this.journal.forEach(entry => entry.outputs.forEach((output, index) => {
+            if (output.inscriptions && output.inscriptions.length > 0) {
+                outpoints.add(`${entry.txid}:${index}`);
+            }
+        }));
+        return outpoints;
+    }
+
+    /**
+     * Check whether splitting an outpoint would separate its inscriptions or free spare DOGE
+     */
+    canSplitOutput(outpoint) {
+        const inscriptions = Object.values(this.inscriptions).filter(inscription => inscription.outpoint === outpoint);
+        return inscriptions.length > 1 ||
+            (inscriptions.length === 1 && inscriptions[0].utxo.satoshis >= 2 * Transaction.DUST_AMOUNT);
+    }
+
+    /**
+     * List our broadcasts still awaiting confirmation, with what can be done about each
+     */
+    getPendingTransactions() {
+        return this.getJournal()
+            .filter(entry => JOURNAL_OPEN_STATUSES.includes(entry.status))
+            .map(entry => ({
+                ...entry,
+                // A signed entry may never have reached the network; it is rebroadcast before anything builds on it
+                canSpeedUp: entry.status === 'pending' && !entry.bumpedBy && this.getBumpableOutput(entry) !== null,
+                // Replacing an inscription commit would strand its signed reveal chain
+                canCancel: entry.status === 'pending' && entry.type !== 'inscription' && new Transaction(entry.hex).isRBF()
+            }));
+    }
+
+    /**
+     * Settle confirmed journal entries and rebroadcast pending ones that left the mempool
+     * Entries still 'signed' were interrupted mid-broadcast (e.g. the page closed) and are checked too
+     */
+    async refreshJournal() {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
+            const open = this.journal.filter(entry => JOURNAL_OPEN_STATUSES.includes(entry.status) &&
+                // An inscription job broadcasts its own commit
+                !(entry.status === 'signed' && this.inscriptionJobs.some(job => job.id === entry.txid)));
+
+            for (const entry of open) {
+                let status;
+                try {
+                    status = await walletAPI.getTransactionStatus(entry.txid);
+                } catch (error) {
+                    // The API being unreachable says nothing about the transaction
+                    continue;
+                }
+
+                if (status === 'confirmed') {
+                    await this.updateJournalEntry(entry, { status: 'confirmed' });
+                } else if (status === 'mempool' && entry.status === 'signed') {
+                    await this.markBroadcast(entry);
+                } else if (status === 'unknown' &&
+                    Date.now() - (entry.lastBroadcastAt || entry.createdAt) > REBROADCAST_GRACE_MS) {
+                    await this.rebroadcastJournalEntry(entry);
+                }
             }
 
-            console.log('Refreshing inscriptions...');
-            
-            const address = this.getAddress();
-            this.inscriptions = await walletAPI.getAddressInscriptions(address, this.utxos);
-            
-            console.log(`Found ${Object.keys(this.inscriptions).length} inscriptions`);
-            return this.inscriptions;
+            return this.getJournal();
         } catch (error) {
-            console.error('Failed to refresh inscriptions:', error);
+            console.error('Failed to refresh transaction journal:', error);
             throw error;
         }
     }
 
     /**
-     * Get safe UTXOs (without inscriptions)
+     * Send a journaled transaction again; give up (releasing its inputs) after repeated failures
      */
-    async getSafeUTXOs() {
+    async rebroadcastJournalEntry(entry) {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
+            await walletAPI.broadcastTransaction(entry.hex);
+            console.log('Rebroadcast transaction:', entry.txid);
+            if (entry.status === 'signed') {
+                await this.markBroadcast(entry);
             }
-
-            const address = this.getAddress();
-            const result = await walletAPI.getSafeUTXOs(address, this.utxos);
-            
-            console.log(`Safe UTXOs: ${result.safe.length}, With inscriptions: ${result.withInscriptions.length}`);
-            
-            return result;
+            await this.updateJournalEntry(entry, {
+                error: null,
+                lastBroadcastAt: Date.now(),
+                rebroadcasts: entry.rebroadcasts + 1
+            });
         } catch (error) {
-            console.error('Failed to get safe UTXOs:', error);
-            throw error;
+            console.error(`Failed to rebroadcast ${entry.txid}:`, error);
+            const rebroadcasts = entry.rebroadcasts + 1;
+            await this.updateJournalEntry(entry, {
+                status: rebroadcasts >= MAX_REBROADCASTS ? 'dropped' : entry.status,
+                error: error.message,
+                lastBroadcastAt: Date.now(),
+                rebroadcasts
+            });
         }
     }
 
     /**
-     * Get current wallet balance
+     * Find the change output of a pending transaction that a child can spend
      */
-    getBalance() {
-        return this.balance;
+    getBumpableOutput(pending) {
+        let best = null;
+        pending.outputs.forEach((output, vout) => {
+            if (output.change && !(output.inscriptions && output.inscriptions.length) &&
+                (!best || output.satoshis > best.satoshis)) {
+                best = { ...output, vout };
+            }
+        });
+        return best;
     }
 
     /**
-     * Calculate available balance for sending (excluding inscription UTXOs)
+     * Draft a child spending a pending transaction's change back to us (CPFP),
+     * paying enough that parent and child together reach feeRate
      */
-    async getAvailableBalance() {
+    async createSpeedUpDraft(txid, feeRate) {
         try {
-            const { safe } = await this.getSafeUTXOs();
-            const availableSatoshis = safe.reduce((total, utxo) => total + utxo.satoshis, 0);
-            return availableSatoshis / DOGE_SATOSHIS; // Convert to DOGE
+            this.requireUnlocked();
+
+            const pending = this.journal.find(item => item.txid === txid && item.status === 'pending');
+            if (!pending) {
+                throw new Error('Transaction is not pending in this wallet');
+            }
+            if (pending.bumpedBy) {
+                throw new Error('Transaction has already been sped up');
+            }
+
+            const output = this.getBumpableOutput(pending);
+            if (!output) {
+                throw new Error('Transaction has no change output to speed it up with');
+            }
+
+            const changeUTXO = {
+                txid,
+                vout: output.vout,
+                address: output.address,
+                script: Script.buildPublicKeyHashOut(output.address).toHex(),
+                satoshis: output.satoshis,
+                confirmations: 0
+            };
+
+            // The same rules as any other spend: no inscriptions, nothing frozen
+            const { safe } = await walletAPI.getSafeUTXOs(output.address, [changeUTXO]);
+            if (safe.length === 0 || this.isFrozen(outpointOf(changeUTXO))) {
+                throw new Error('The change output cannot be spent (frozen or inscription-bearing)');
+            }
+
+            // Top up from a confirmed coin only when the change cannot pay the package fee alone
+            const { safe: fundingUTXOs } = await this.getSafeUTXOs();
+            const largest = fundingUTXOs.slice().sort((a, b) => b.satoshis - a.satoshis).slice(0, 1);
+            const topUps = largest.length > 0 ? [[], largest] : [[]];
+
+            let plan = null;
+            let shortfall = null;
+            for (const extra of topUps) {
+                const childSize = coinSelector.estimateSize(1 + extra.length, 1);
+                const packageFee = Math.ceil(feeRate * (pending.size + childSize)) - pending.fee;
+                const childRate = Math.max(Math.ceil(packageFee / childSize), walletAPI.minFeeRate);
+
+                try {
+                    plan = this.planTransaction(extra, 0, childRate, { sweep: true, preselected: [changeUTXO] });
+                    break;
+                } catch (error) {
+                    if (!(error instanceof InsufficientFundsError)) throw error;
+                    shortfall = error;
+                }
+            }
+
+            // Neither the change alone nor the change plus a confirmed coin pays the package fee
+            if (!plan) {
+                throw shortfall;
+            }
+
+            const changeAddress = await this.getChangeAddress();
+            const draft = await this.buildDraft('speed-up', plan, [{ address: changeAddress, satoshis: plan.target }]);
+            return this.markSelfDraft(draft, { parentTxid: txid });
         } catch (error) {
-            console.error('Failed to calculate available balance:', error);
-            return 0;
+            console.error('Failed to create speed-up draft:', error);
+            throw error;
         }
     }
 
     /**
-     * Send DOGE safely (avoiding inscription UTXOs)
+     * Draft a replacement that double-spends a pending transaction's inputs back to us (RBF)
+     * Inscription-bearing inputs each return to their own output; only safe coins pay the fee
      */
-    async sendDoge(toAddress, amountDoge, feeDoge = 1.0) {
+    async createCancelDraft(txid, feeRate) {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
-            }
+            this.requireUnlocked();
 
-            console.log(`Sending ${amountDoge} DOGE to ${toAddress} with fee ${feeDoge} DOGE`);
-
-            // Validate inputs
-            if (!Address.isValid(toAddress)) {
-                throw new Error('Invalid recipient address');
+            const pending = this.journal.find(item => item.txid === txid && item.status === 'pending');
+            if (!pending) {
+                throw new Error('Transaction is not pending in this wallet');
+            }
+            if (!new Transaction(pending.hex).isRBF()) {
+                throw new Error('Transaction did not signal replace-by-fee and cannot be cancelled');
             }
 
-            if (amountDoge <= 0) {
-                throw new Error('Amount must be greater than 0');
+            // Both lists keep the original input order; a failed lookup must not turn a doginal into fee
+            const { safe: safeInputs, withInscriptions: inscriptionInputs } =
+                await walletAPI.getSafeUTXOs(this.getAddress(), pending.inputs, { strict: true });
+
+            // Inscription inputs go first and map one-to-one onto outputs of equal value
+            const receiveAddress = await this.getReceiveAddress();
+            const outputs = inscriptionInputs.map(utxo => ({ address: receiveAddress, satoshis: utxo.satoshis }));
+            const target = outputs.reduce((total, output) => total + output.satoshis, 0);
+
+            // A replacement must pay the fees of everything it evicts (BIP125 rule 3), including a
+            // speed-up child, plus relay for its own size
+            const evictedFee = this.getPendingDescendants(txid)
+                .reduce((total, entry) => total + entry.fee, pending.fee);
+            const { safe: fundingUTXOs } = await this.getSafeUTXOs({ strict: true });
+            const planAt = rate => this.planTransaction(fundingUTXOs, target, rate, {
+                preselected: [...inscriptionInputs, ...safeInputs],
+                outputCount: outputs.length
+            });
+
+            let plan = planAt(feeRate);
+            for (let attempt = 0; attempt < 3; attempt++) {
+                const minimumFee = evictedFee + Math.ceil(plan.size * walletAPI.minFeeRate);
+                if (plan.fee >= minimumFee) break;
+                plan = planAt(Math.ceil(minimumFee / plan.size));
             }
 
-            if (feeDoge < 0.1) {
-                throw new Error('Fee must be at least 0.1 DOGE');
+            if (outputs.length === 0 && plan.change === 0) {
+                throw new Error('Transaction is too small to cancel; the fee would consume it');
             }
 
-            // Convert to satoshis
-            const amountSatoshis = Math.floor(amountDoge * DOGE_SATOSHIS);
-            const feeSatoshis = Math.floor(feeDoge * DOGE_SATOSHIS);
-            const totalNeeded = amountSatoshis + feeSatoshis;
+            const draft = await this.buildDraft('cancel', plan, outputs);
+            inscriptionInputs.forEach((utxo, index) => {
+                draft.outputs[index].inscriptions = utxo.inscriptions;
+            });
+            return this.markSelfDraft(draft, { replaces: txid });
+        } catch (error) {
+            console.error('Failed to create cancel draft:', error);
+            throw error;
+        }
+    }
 
-            // Get safe UTXOs (without inscriptions)
-            const { safe: safeUTXOs } = await this.getSafeUTXOs();
-            
-            if (safeUTXOs.length === 0) {
-                throw new Error('No safe UTXOs available for spending');
+    /**
+     * Draft a transaction moving everything held by a WIF (e.g. a paper wallet) into this wallet
+     *
+     * Each inscription keeps its own output of its original value; the plain DOGE pays the fee and
+     * arrives as one output. When it cannot cover the fee, this wallet's safe coins top it up.
+     */
+    async createSweepDraft(wif, feeRate) {
+        try {
+            let sweepKey;
+            try {
+                sweepKey = new PrivateKey(wif.trim());
+            } catch (error) {
+                throw new Error('Invalid private key (WIF)');
             }
 
-            // Select UTXOs for the transaction
-            const selectedUTXOs = [];
-            let totalSelected = 0;
-
-            // Sort UTXOs by value (largest first for efficiency)
-            safeUTXOs.sort((a, b) => b.satoshis - a.satoshis);
+            const sweptAddress = sweepKey.toAddress().toString();
+            if (this.isOwnAddress(sweptAddress)) {
+                throw new Error('That key already belongs to this wallet');
+            }
 
-            for (const utxo of safeUTXOs) {
-                selectedUTXOs.push(utxo);
-                totalSelected += utxo.satoshis;
+            const utxos = (await walletAPI.getUTXOs(sweptAddress)).filter(utxo => utxo.confirmations > 0);
+            if (utxos.length === 0) {
+                throw new Error('No confirmed coins found for that key');
+            }
 
-                if (totalSelected >= totalNeeded) {
-                    break;
+            // Inscription inputs go first and map one-to-one onto outputs of equal value; a failed lookup
+            // aborts the sweep rather than merging an unseen doginal into the fee or change
+            const { safe: plainInputs, withInscriptions: inscriptionInputs } =
+                await walletAPI.getSafeUTXOs(sweptAddress, utxos, { strict: true });
+            const receiveAddress = await this.getReceiveAddress();
+            const outputs = inscriptionInputs.map(utxo => ({ address: receiveAddress, satoshis: utxo.satoshis }));
+            const inscriptionTotal = outputs.reduce((total, output) => total + output.satoshis, 0);
+
+            let plan = null;
+            if (plainInputs.length > 0) {
+                try {
+                    plan = this.planTransaction(plainInputs, 0, feeRate, {
+                        preselected: inscriptionInputs,
+                        outputCount: outputs.length + 1,
+                        sweep: true
+                    });
+                } catch (error) {
+                    if (!(error instanceof InsufficientFundsError)) throw error;
                 }
             }
 
-            if (totalSelected < totalNeeded) {
-                throw new Error(`Insufficient funds. Need ${totalNeeded / DOGE_SATOSHIS} DOGE, have ${totalSelected / DOGE_SATOSHIS} DOGE available`);
+            if (plan && plan.target - inscriptionTotal >= Transaction.DUST_AMOUNT) {
+                outputs.push({ address: receiveAddress, satoshis: plan.target - inscriptionTotal });
+            } else if (inscriptionInputs.length > 0 && !this.isWatchOnly()) {
+                // Too little plain DOGE to move the inscriptions on its own
+                const { safe: fundingUTXOs } = await this.getSafeUTXOs({ strict: true });
+                plan = this.planTransaction(fundingUTXOs, inscriptionTotal, feeRate, {
+                    preselected: [...inscriptionInputs, ...plainInputs],
+                    outputCount: outputs.length
+                });
+            } else {
+                throw new Error('The coins on that key are too small to cover the network fee');
             }
 
-            // Create transaction
-            const tx = new Transaction();
-            
-            // Add inputs
-            selectedUTXOs.forEach(utxo => {
-                tx.from({
-                    txid: utxo.txid,
-                    vout: utxo.vout,
-                    scriptPubKey: utxo.script,
-                    satoshis: utxo.satoshis
-                });
+            const draft = await this.buildDraft('sweep', plan, outputs);
+            inscriptionInputs.forEach((utxo, index) => {
+                draft.inputs[index].inscriptions = utxo.inscriptions;
+                draft.outputs[index].inscriptions = utxo.inscriptions;
             });
+            draft.externalKeys = [sweepKey];
+            return this.markSelfDraft(draft, { sweptAddress });
+        } catch (error) {
+            console.error('Failed to create sweep draft:', error);
+            throw error;
+        }
+    }
 
-            // Add output to recipient
-            tx.to(toAddress, amountSatoshis);
+    /**
+     * Draft the commit of a new inscription; the reveal chain it funds is signed when it is broadcast
+     * The commit pays every reveal fee plus the inscription output into the first P2SH lock,
+     * funded from safe coins only; the inscription lands on a fresh receive address
+     */
+    async createInscriptionDraft(content, contentType, options = {}) {
+        try {
+            this.requireUnlocked();
 
-            // Add change output if needed
-            const change = totalSelected - totalNeeded;
-            if (change > Transaction.DUST_AMOUNT) {
-                const changeAddress = this.getAddress();
-                tx.to(changeAddress, change);
+            const revealAddress = options.revealAddress || await this.getReceiveAddress();
+            if (!this.isOwnAddress(revealAddress)) {
+                throw new Error('Inscriptions can only be revealed to an address of this wallet');
             }
+            const [revealKey] = this.getSigningKeys([{ address: revealAddress }]);
 
-            // Set fee
-            tx.fee(feeSatoshis);
+            const partials = inscriptionBuilder.buildPartials(content, contentType);
+            const locks = partials.map(partial => inscriptionBuilder.buildLock(revealKey.publicKey, partial));
 
-            // Sign transaction
-            tx.sign(this.credentials.privateKey);
+            const feeRate = options.feeRate || await this.getFeeRate(options.feePreset || 'normal');
+            const revealFees = partials.map((partial, index) =>
+                Math.ceil(inscriptionBuilder.estimateRevealSize(partial, locks[index], index === partials.length - 1) * feeRate));
+            const chainSatoshis = Transaction.DUST_AMOUNT + revealFees.reduce((total, fee) => total + fee, 0);
 
-            // Validate transaction
-            const txHex = tx.toString();
-            console.log('Transaction created:', {
-                txid: tx.hash,
-                size: txHex.length / 2,
-                inputs: selectedUTXOs.length,
-                outputs: tx.outputs.length,
-                fee: feeSatoshis / DOGE_SATOSHIS
-            });
+            const { safe: fundingUTXOs } = await this.getSafeUTXOs();
+            if (fundingUTXOs.length === 0) {
+                throw new Error('No funding UTXOs available for the inscription');
+            }
 
-            // Broadcast transaction
-            const txid = await walletAPI.broadcastTransaction(txHex);
-            
-            console.log('Transaction broadcast successfully:', txid);
-            
-            // Refresh wallet data
-            setTimeout(() => {
-                this.refreshAll();
-            }, 2000);
+            const plan = this.planTransaction(fundingUTXOs, chainSatoshis, feeRate, { strategy: options.strategy });
+            const draft = await this.buildDraft('inscription', plan, [
+                { address: inscriptionBuilder.lockAddress(locks[0]).toString(), satoshis: chainSatoshis }
+            ]);
 
-            return txid;
+            draft.inscription = {
+                contentType: contentType.trim(),
+                bytes: content.length,
+                revealAddress,
+                partials,
+                locks,
+                revealFees,
+                revealFee: chainSatoshis - Transaction.DUST_AMOUNT,
+                outputSatoshis: Transaction.DUST_AMOUNT
+            };
+            return draft;
         } catch (error) {
-            console.error('Failed to send DOGE:', error);
+            console.error('Failed to create inscription draft:', error);
             throw error;
         }
     }
 
     /**
-     * Send a doginal (inscription)
+     * Draft the inscription of a DRC-20 deploy, mint or transfer, checked against the indexer's view of the token
+     * fields are tick plus amt, or max, lim and dec for a deploy; options are those of createInscriptionDraft
      */
-    async sendDoginal(inscriptionId, toAddress) {
+    async createTokenInscriptionDraft(op, fields, options = {}) {
         try {
-            if (!this.credentials) {
-                throw new Error('No wallet credentials loaded');
-            }
-
-            console.log(`Sending doginal ${inscriptionId} to ${toAddress}`);
+            this.requireUnlocked();
 
-            // Validate address
-            if (!Address.isValid(toAddress)) {
-                throw new Error('Invalid recipient address');
-            }
+            const tick = drc20.normalizeTick(fields.tick);
+            const info = await walletAPI.getTokenInfo(tick);
 
-            // Find the inscription
-            const inscription = this.inscriptions[`inscription_${inscriptionId}`];
-            if (!inscription) {
-                throw new Error('Inscription not found in wallet');
+            let payload;
+            let revealAddress = null;
+            if (op === 'deploy') {
+                if (info) {
+                    throw new Error(`${info.tick || tick} has already been deployed`);
+                }
+                payload = drc20.buildDeploy(fields);
+            } else if (op === 'mint') {
+                payload = drc20.buildMint(fields, info);
+            } else if (op === 'transfer') {
+                // Balances move as soon as another transfer is inscribed, so check against fresh ones
+                await this.refreshTokens();
+                const token = this.tokens.find(item => item.tick.toLowerCase() === tick.toLowerCase());
+                payload = drc20.buildTransfer(fields, info, token);
+
+                // The transfer is only valid inscribed to the address holding the balance it moves
+                revealAddress = drc20.selectTransferHolding(token, payload.amt).address;
+            } else {
+                throw new Error(`Unknown DRC-20 operation: ${op}`);
             }
 
-            // Get the UTXO containing the inscription
-            const inscriptionUTXO = inscription.utxo;
-            if (!inscriptionUTXO) {
-                throw new Error('Inscription UTXO not found');
-            }
+            const draft = await this.createInscriptionDraft(drc20.encode(payload), DRC20_CONTENT_TYPE,
+                revealAddress ? { ...options, revealAddress } : options);
+            draft.inscription.drc20 = payload;
+            return draft;
+        } catch (error) {
+            console.error('Failed to create token inscription draft:', error);
+            throw error;
+        }
+    }
 
-            // Check if this output has multiple inscriptions
-            const outpointInscriptions = Object.values(this.inscriptions)
-                .filter(insc => insc.outpoint === inscription.outpoint);
-            
-            if (outpointInscriptions.length > 1) {
-                throw new Error('Cannot send doginal from output with multiple inscriptions');
-            }
+    /**
+     * List the transfer inscriptions of a tick that the wallet holds and has not sent yet,
+     * including ones still being inscribed; each carries the inscription to pass to sendDoginal once ready
+     */
+    getTransferInscriptions(tick) {
+        const matches = payload => payload && payload.op === 'transfer' &&
+            payload.tick.toLowerCase() === tick.toLowerCase();
+        const sending = this.getPendingSpentOutpoints();
+
+        const held = Object.values(this.inscriptions)
+            .filter(inscription => inscription.content && inscription.content.type === 'text' &&
+                matches(drc20.parse(inscription.content.data)) && !sending.has(inscription.outpoint))
+            .map(inscription => ({
+                inscriptionId: inscription.id,
+                amt: drc20.parse(inscription.content.data).amt,
+                status: 'ready',
+                inscription
+            }));
+
+        const heldIds = new Set(held.map(item => item.inscriptionId));
+        const ours = this.inscriptionJobs
+            .filter(job => matches(job.drc20) && job.status !== 'failed' && !heldIds.has(job.inscriptionId) && !sending.has(job.outpoint))
+            .map(job => ({ job, inscription: this.findInscription(job.inscriptionId) }))
+            // A confirmed transfer no longer among our coins has been sent
+            .filter(({ job, inscription }) => inscription || job.status !== 'confirmed')
+            .map(({ job, inscription }) => ({
+                inscriptionId: job.inscriptionId,
+                amt: job.drc20.amt,
+                status: inscription ? 'ready' : 'inscribing',
+                inscription
+            }));
+
+        return [...held, ...ours];
+    }
 
-            // Get funding UTXOs (safe UTXOs for fees)
-            const { safe: fundingUTXOs } = await this.getSafeUTXOs();
-            
-            if (fundingUTXOs.length === 0) {
-                throw new Error('No funding UTXOs available for transaction fees');
-            }
+    /**
+     * Sign an inscription commit and its reveal chain, save them and start broadcasting
+     * Returns the inscription job; broadcasting continues on later refreshes if it stops part way
+     */
+    async broadcastInscription(draft) {
+        try {
+            this.requireUnlocked();
+            this.signDraft(draft);
+
+            const { partials, locks, revealFees, revealAddress } = draft.inscription;
+            const [revealKey] = this.getSigningKeys([{ address: revealAddress }]);
+
+            const txs = [{ txid: draft.txid, hex: draft.hex }];
+            let prevTxid = draft.txid;
+            let prevSatoshis = draft.outputs[0].satoshis;
+
+            partials.forEach((partial, index) => {
+                const isLast = index === partials.length - 1;
+                const satoshis = prevSatoshis - revealFees[index];
+                const tx = inscriptionBuilder.buildRevealTransaction({
+                    prevTxid,
+                    prevSatoshis,
+                    partial,
+                    lock: locks[index],
+                    privateKey: revealKey,
+                    output: {
+                        script: isLast ? Script.buildPublicKeyHashOut(revealAddress) : Script.buildScriptHashOut(locks[index + 1]),
+                        satoshis
+                    }
+                });
 
-            // Create transaction
-            const tx = new Transaction();
-            
-            // Add inscription UTXO as first input
-            tx.from({
-                txid: inscriptionUTXO.txid,
-                vout: inscriptionUTXO.vout,
-                scriptPubKey: inscriptionUTXO.script,
-                satoshis: inscriptionUTXO.satoshis
+                txs.push({ txid: tx.hash, hex: tx.toString() });
+                prevTxid = tx.hash;
+                prevSatoshis = satoshis;
             });
 
-            // Add funding UTXOs for fees
-            let fundingTotal = 0;
-            const feeSatoshis = 100000000; // 1 DOGE fee
-            
-            for (const utxo of fundingUTXOs) {
-                tx.from({
-                    txid: utxo.txid,
-                    vout: utxo.vout,
-                    scriptPubKey: utxo.script,
-                    satoshis: utxo.satoshis
-                });
-                
-                fundingTotal += utxo.satoshis;
-                
-                if (fundingTotal >= feeSatoshis) {
-                    break;
+            const job = {
+                id: draft.txid,
+                contentType: draft.inscription.contentType,
+                bytes: draft.inscription.bytes,
+                address: revealAddress,
+                // Indexers name a chunked inscription after its first reveal; the sat ends up in the last
+                inscriptionId: `${txs[1].txid}i0`,
+                outpoint: `${prevTxid}:0`,
+                fee: draft.fee + draft.inscription.revealFee,
+                ...(draft.inscription.drc20 ? { drc20: draft.inscription.drc20 } : {}),
+                txs,
+                broadcast: 0,
+                confirmed: 0,
+                status: 'pending',
+                attempts: 0,
+                error: null,
+                createdAt: Date.now()
+            };
+
+            // Everything is saved before the first broadcast so a reload can finish the chain
+            this.inscriptionJobs.push(job);
+            await this.saveInscriptionJobs();
+            await this.recordJournalEntry(draft);
+            await this.markAddressUsed(revealAddress);
+
+            return this.continueInscription(job);
+        } catch (error) {
+            console.error('Failed to broadcast inscription:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Broadcast the rest of an inscription chain, stopping at the mempool chain limit or an error
+     */
+    async continueInscription(job) {
+        while (job.broadcast < job.txs.length) {
+            if (job.broadcast - job.confirmed >= INSCRIPTION_CHAIN_LIMIT) {
+                await this.advanceInscriptionConfirmations(job);
+                if (job.broadcast - job.confirmed >= INSCRIPTION_CHAIN_LIMIT) {
+                    job.status = 'waiting';
+                    await this.saveInscriptionJobs();
+                    return job;
                 }
             }
 
-            if (fundingTotal < feeSatoshis) {
-                throw new Error('Insufficient funds for transaction fee');
+            const { txid, hex } = job.txs[job.broadcast];
+            try {
+                await walletAPI.broadcastTransaction(hex);
+            } catch (error) {
+                // A broadcast that went through before a reload is rejected as a duplicate
+                const status = await walletAPI.getTransactionStatus(txid).catch(() => 'unknown');
+                if (status === 'unknown') {
+                    job.attempts += 1;
+                    job.error = error.message;
+                    job.status = job.attempts >= MAX_REBROADCASTS ? 'failed' : 'pending';
+
+                    // A commit that never made it out releases its coins
+                    const commit = this.journal.find(entry => entry.txid === job.id);
+                    if (job.status === 'failed' && job.broadcast === 0 && commit) {
+                        await this.updateJournalEntry(commit, { status: 'failed', error: error.message });
+                    }
+                    await this.saveInscriptionJobs();
+                    return job;
+                }
             }
 
-            // Add output to recipient (dust amount to preserve inscription)
-            tx.to(toAddress, Transaction.DUST_AMOUNT);
-
-            // Add change output if needed
-            const totalInput = inscriptionUTXO.satoshis + fundingTotal;
-            const totalOutput = Transaction.DUST_AMOUNT + feeSatoshis;
-            const change = totalInput - totalOutput;
-            
-            if (change > Transaction.DUST_AMOUNT) {
-                const changeAddress = this.getAddress();
-                tx.to(changeAddress, change);
+            if (job.broadcast === 0) {
+                const commit = this.journal.find(entry => entry.txid === job.id);
+                if (commit) {
+                    await this.markBroadcast(commit);
+                }
             }
 
-            // Set fee
-            tx.fee(feeSatoshis);
+            job.broadcast += 1;
+            job.attempts = 0;
+            job.error = null;
+            job.status = 'pending';
+            await this.saveInscriptionJobs();
+        }
 
-            // Sign transaction
-            tx.sign(this.credentials.privateKey);
+        job.status = 'revealed';
+        await this.saveInscriptionJobs();
+        console.log('Inscription revealed:', job.inscriptionId);
+        return job;
+    }
 
-            // Validate transaction
-            const txHex = tx.toString();
-            console.log('Doginal transaction created:', {
-                txid: tx.hash,
-                inscriptionId,
-                recipient: toAddress
-            });
+    /**
+     * Count the leading transactions of an inscription chain that have confirmed
+     */
+    async advanceInscriptionConfirmations(job) {
+        while (job.confirmed < job.broadcast) {
+            let status;
+            try {
+                status = await walletAPI.getTransactionStatus(job.txs[job.confirmed].txid);
+            } catch (error) {
+                return;
+            }
+            if (status !== 'confirmed') return;
+            job.confirmed += 1;
+        }
+    }
 
-            // Broadcast transaction
-            const txid = await walletAPI.broadcastTransaction(txHex);
-            
-            console.log('Doginal transaction broadcast successfully:', txid);
-            
-            // Refresh wallet data
-            setTimeout(() => {
-                this.refreshAll();
-            }, 2000);
+    /**
+     * Continue unfinished inscription chains and settle revealed ones that confirmed
+     */
+    async resumeInscriptions() {
+        try {
+            for (const job of this.inscriptionJobs) {
+                if (job.status === 'pending' || job.status === 'waiting') {
+                    await this.continueInscription(job);
+                } else if (job.status === 'revealed') {
+                    await this.advanceInscriptionConfirmations(job);
+                    if (job.confirmed === job.txs.length) {
+                        // Settled chains no longer need their signed hex
+                        job.status = 'confirmed';
+                        job.txs = job.txs.map(({ txid }) => ({ txid }));
+                        await this.saveInscriptionJobs();
+                    }
+                }
+            }
+            return this.getInscriptionJobs();
+        } catch (error) {
+            console.error('Failed to resume inscriptions:', error);
+            throw error;
+        }
+    }
 
-            return txid;
+    /**
+     * Try a failed inscription chain again from where it stopped
+     */
+    async retryInscription(jobId) {
+        try {
+            const job = this.inscriptionJobs.find(item => item.id === jobId && item.status === 'failed');
+            if (!job) {
+                throw new Error('Inscription is not waiting for a retry');
+            }
+
+            const commit = this.journal.find(entry => entry.txid === job.id);
+            if (job.broadcast === 0 && commit && commit.status === 'failed') {
+                await this.updateJournalEntry(commit, { status: 'signed', error: null });
+            }
+
+            Object.assign(job, { status: 'pending', attempts: 0, error: null });
+            return await this.continueInscription(job);
         } catch (error) {
-            console.error('Failed to send doginal:', error);
+            console.error('Failed to retry inscription:', error);
             throw error;
         }
     }
 
+    /**
+     * List inscription jobs, newest first
+     */
+    getInscriptionJobs() {
+        return [...this.inscriptionJobs].reverse();
+    }
+
+    /**
+     * Persist inscription jobs, keeping every unfinished one and the most recent settled ones
+     */
+    async saveInscriptionJobs() {
+        const settled = this.inscriptionJobs.filter(job => job.status === 'confirmed' || job.status === 'failed');
+        const dropSettled = new Set(settled.slice(0, Math.max(settled.length - INSCRIPTION_MAX_SETTLED, 0)));
+        this.inscriptionJobs = this.inscriptionJobs.filter(job => !dropSettled.has(job));
+        await this.accountStorage.set('inscription_jobs', this.inscriptionJobs);
+    }
+
+    /**
+     * Mark every output of a draft as returning to this wallet
+     */
+    markSelfDraft(draft, links) {
+        draft.outputs.forEach(output => { output.change = true; });
+        draft.change = draft.outputs.reduce((total, output) => total + output.satoshis, 0);
+        draft.totalSatoshis = 0;
+        return Object.assign(draft, links);
+    }
+
     /**
      * Refresh all wallet data
      */
     async refreshAll() {
         try {
-            if (!this.credentials) {
+            if (!this.hasWatchAddress()) {
                 return;
             }
 
@@ -976,9 +3516,13 @@ class WoofWallet {
             await Promise.all([
                 this.refreshUTXOs(),
                 this.refreshBalance(),
-                this.refreshTransactions()
+                this.refreshTransactions(),
+                this.refreshJournal()
             ]);
 
+            // Reveal chains pick up where they stopped, e.g. before a reload or at the mempool chain limit
+            await this.resumeInscriptions();
+
             // Refresh inscriptions after UTXOs are loaded
             await this.refreshInscriptions();
             
@@ -995,7 +3539,7 @@ class WoofWallet {
      */
     getWalletSummary() {
         return {
-            address: this.credentials ? this.getAddress() : null,
+            address: this.hasWatchAddress() ? this.getAddress() : null,
             balance: this.balance,
             utxoCount: this.utxos.length,
             inscriptionCount: Object.keys(this.inscriptions).length,
@@ -1005,51 +3549,77 @@ class WoofWallet {
     }
 
     /**
-     * Clear wallet data (logout)
+     * Clear the data of a single wallet (the active one by default)
+     */
+    async clearWallet(walletId = this.activeWalletId) {
+        try {
+            const entry = this.wallets.find(wallet => wallet.id === walletId);
+            if (!entry) {
+                return false;
+            }
+
+            await walletStorage.forWallet(entry.id).clear();
+            this.wallets = this.wallets.filter(wallet => wallet.id !== entry.id);
+
+            if (entry.id === this.activeWalletId) {
+                // Fall back to another wallet, which starts out locked
+                this.clearSensitiveMemoryData();
+                this.resetWalletState();
+                this.hasVault = false;
+                this.isLocked = false;
+                this.selectWallet(this.wallets[0]);
+            }
+
+            await this.saveWalletRegistry();
+            await this.load();
+            
+            console.log(`Wallet ${entry.name} cleared`);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear wallet:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear every wallet and all app data
      */
-    async clearWallet() {
+    async clearAllWallets() {
         try {
             await walletStorage.clear();
             
-            this.credentials = null;
+            this.clearSensitiveMemoryData();
+            this.resetWalletState();
+            this.wallets = [];
+            this.selectWallet(null);
+            this.hasVault = false;
+            this.isLocked = false;
             this.acceptedTerms = false;
-            this.utxos = [];
-            this.inscriptions = {};
-            this.balance = { confirmed: 0, unconfirmed: 0, total: 0 };
-            this.transactions = [];
-            this.lastSync = null;
             
-            console.log('Wallet data cleared');
+            console.log('All wallet data cleared');
             return true;
         } catch (error) {
-            console.error('Failed to clear wallet:', error);
+            console.error('Failed to clear wallets:', error);
             throw error;
         }
     }
 
     /**
-     * Logout and clear all wallet data including password
+     * Logout of the active wallet; the password is removed with the last wallet
      */
     async logout() {
         try {
-            // Clear all wallet data including password
-            await walletStorage.removeMultiple([
-                'privkey', 
-                'mnemonic', 
-                'derivation', 
-                'utxos',
-                'walletPassword',
-                'accepted_terms'
-            ]);
-            
-            // Reset instance variables
-            this.credentials = null;
-            this.acceptedTerms = false;
-            this.utxos = [];
-            this.inscriptions = {};
-            this.balance = { confirmed: 0, unconfirmed: 0, total: 0 };
-            this.transactions = [];
-            this.lastSync = null;
+            await this.clearWallet();
+
+            if (this.wallets.length === 0) {
+                await walletStorage.removeMultiple([
+                    'wallets',
+                    'walletPassword',
+                    'passwordSalt',
+                    'accepted_terms'
+                ]);
+                this.acceptedTerms = false;
+            }
             
             console.log('Wallet logout completed');
             return true;
@@ -1061,4 +3631,5 @@ class WoofWallet {
 }
 
 // Create global wallet instance
-window.wallet = new WoofWallet();
\ No newline at end of file
+window.wallet = new WoofWallet();
+window.WalletLockedError = WalletLockedError;
\ No newline at end of file
@@ -70,6 +70,32 @@ app.use('/api/wonkyord', createProxyMiddleware({
     }
 }));
 
+// DRC-20 token indexer proxy, pointed at an indexer through DRC20_INDEXER_URL
+const DRC20_INDEXER_URL = process.env.DRC20_INDEXER_URL;
+if (DRC20_INDEXER_URL) {
+    app.use('/api/drc20', createProxyMiddleware({
+        target: DRC20_INDEXER_URL,
+        changeOrigin: true,
+        pathRewrite: {
+            '^/api/drc20': '', // Remove /api/drc20 prefix
+        },
+        onProxyReq: (proxyReq, req, res) => {
+            console.log(`[PROXY] ${req.method} ${req.url} -> ${DRC20_INDEXER_URL}${req.url.replace('/api/drc20', '')}`);
+        },
+        onError: (err, req, res) => {
+            console.error('Proxy error:', err);
+            res.status(500).json({ error: 'Proxy error', message: err.message });
+        }
+    }));
+} else {
+    app.use('/api/drc20', (req, res) => {
+        res.status(503).json({
+            error: 'DRC-20 indexer not configured',
+            message: 'Set DRC20_INDEXER_URL to the base URL of a DRC-20 indexer and restart the server'
+        });
+    });
+}
+
 // Static file serving with proper MIME types
 app.use(express.static('.', {
     setHeaders: (res, path) => {